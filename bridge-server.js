@@ -5,10 +5,32 @@
  * Consolidates multiple MCP servers behind a single interface with lazy schema loading.
  *
  * Features:
+ * - Transports: stdio child processes, Streamable HTTP and SSE remote servers
  * - Lazy schema loading: list_mcp_tools returns names only, get_tool_schema for details
- * - Tool caching: 5-minute TTL for tool schemas
- * - Retry logic: Exponential backoff with jitter
+ * - Tool search: BM25-ranked search_tools across every enabled server
+ * - Argument validation: call_mcp_tool arguments checked against inputSchema before dispatch
+ * - Tool policy: per-server allowTools/denyTools globs and read-only mode
+ * - Confirmation: requireConfirmation tools need user approval (elicitation or token)
+ * - Secrets: ${env:VAR}, ${file:path}, ${dotenv:KEY} placeholders, redacted from logs
+ * - Audit log: JSON Lines record of every proxied call, queryable via get_call_history
+ * - Result limiting: oversized results truncated, full text paged via get_result_page
+ * - Result projection: JSONPath `select` on call_mcp_tool returns only the fields needed
+ * - Batching: call_mcp_tools_batch runs calls concurrently or as a $steps[n] pipeline
+ * - Resources and prompts: aggregated from every backend under server-prefixed URIs/names
+ * - Direct exposure: selected servers' tools listed natively as server__tool
+ * - Tool caching: tool lists persisted to disk, revalidated in the background after 5 minutes
+ * - Result caching: opt-in per-tool TTL cache of backend results, optionally persisted
+ * - Retry logic: Exponential backoff with jitter, only for retryable error kinds
+ * - Call timeouts and cancellation/progress forwarding to backends
+ * - Circuit breaker: fast-fail servers that keep failing to connect
+ * - Concurrency limits: per-server maxConcurrency FIFO queue and calls-per-minute rate limit
+ * - Lifecycle: crash detection, idle reaping, eager start, clean shutdown
  * - Health checks: Monitor server connectivity
+ * - Observability: Prometheus /metrics endpoint and optional OpenTelemetry spans
+ * - HTTP mode: `--http <port>` serves many clients over Streamable HTTP from one backend pool
+ * - Config validation: schema-checked at load; `mcpbridge validate [--spawn]` checks without serving
+ * - Config location: --config / MCPBRIDGE_CONFIG, user + project merge, includes and --profile
+ * - Import: `mcpbridge import` converts Claude Desktop / VS Code / Cursor mcpServers entries
  *
  * @author mwilliams
  * @version 2.3.0
@@ -17,12 +39,31 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { readFileSync, existsSync } from 'fs';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  isInitializeRequest,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
+import Ajv from 'ajv';
+import { z } from 'zod';
+import { randomUUID, createHash, timingSafeEqual } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, watch, appendFileSync, statSync, renameSync, mkdirSync, unlinkSync, readdirSync, realpathSync } from 'fs';
+import { createServer } from 'http';
+import { homedir } from 'os';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, basename, resolve } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,298 +72,3505 @@ const __dirname = dirname(__filename);
 // CONFIGURATION
 // ============================================================================
 
+// Built-in defaults; top-level config keys of the same name override them (applySettings)
 const CONFIG = {
-  // Retry settings
+  // Retry settings (overridable per server via `retry`)
   retry: {
     maxRetries: 3,
     baseDelayMs: 1000,
     maxDelayMs: 10000,
-    backoffMultiplier: 2
+    backoffMultiplier: 2,
+    retryOn: ['transport', 'timeout']
   },
   // Connection settings
   connectionTimeoutMs: 30000,
+  // Per-attempt tool call timeout (overridable per server/tool via `callTimeoutMs`)
+  callTimeoutMs: 60000,
+  // Lifecycle settings
+  idleTimeoutMs: 0, // 0 = never reap idle servers (overridable per server)
+  idleCheckIntervalMs: 30000,
+  shutdownTimeoutMs: 5000,
+  // Call queue settings (overridable per server; 0 = unlimited)
+  queue: {
+    maxConcurrency: 0,
+    maxQueueSize: 100,
+    rateLimitPerMinute: 0
+  },
+  // Circuit breaker settings (overridable per server via `circuitBreaker`)
+  circuitBreaker: {
+    failureThreshold: 3,
+    cooldownMs: 30000
+  },
   // Cache settings
-  toolsCacheTtlMs: 300000 // 5 minutes
+  toolsCacheTtlMs: 300000, // 5 minutes, then served stale while revalidating
+  toolsCacheMaxStaleMs: 7 * 24 * 60 * 60 * 1000, // older lists are refetched before use
+  // Persisted tool lists (config `toolsCachePath`, false disables)
+  toolsCachePath: join(homedir(), '.cache', 'mcpbridge', 'tools-cache.json'),
+  toolsCacheSaveDebounceMs: 1000,
+  // Search settings
+  search: {
+    defaultLimit: 10,
+    maxLimit: 50,
+    summaryMaxChars: 120
+  },
+  // Confirmation settings
+  confirmation: {
+    tokenTtlMs: 300000, // 5 minutes
+    useElicitation: true
+  },
+  // Result size settings (overridable per server/tool via `maxResultChars`, 0 = unlimited)
+  results: {
+    maxResultChars: 20000,
+    pageSize: 10000,
+    maxPageSize: 100000,
+    storeTtlMs: 600000, // 10 minutes
+    maxStoredResults: 50
+  },
+  // Result cache settings (caching enabled per server/tool via `cacheTtlMs`,
+  // persistence by config `resultCache.path`)
+  resultCache: {
+    maxEntries: 200,
+    maxEntryChars: 200000,
+    saveDebounceMs: 1000
+  },
+  // Batch settings
+  batch: {
+    maxCalls: 25,
+    defaultConcurrency: 4,
+    maxConcurrency: 10
+  },
+  // Call history / audit log settings (file logging enabled by config `audit.path`)
+  audit: {
+    historySize: 500,
+    rotate: 'size', // 'size' | 'daily'
+    maxSizeBytes: 10 * 1024 * 1024,
+    maxFiles: 5,
+    arguments: 'hash' // 'hash' | 'redacted' | 'full'
+  },
+  // Metrics endpoint settings (served when config `metrics.port` is set)
+  metrics: {
+    host: '127.0.0.1',
+    path: '/metrics'
+  },
+  // HTTP serving settings for `--http <port>` (overridable via config `http`)
+  http: {
+    host: '127.0.0.1',
+    path: '/mcp',
+    maxSessions: 100,
+    sessionIdleTimeoutMs: 1800000, // 30 minutes
+    maxBodyBytes: 4 * 1024 * 1024
+  },
+  // Hot-reload settings
+  configReloadDebounceMs: 300
+};
+
+const DEFAULT_CONFIG = structuredClone(CONFIG);
+
+/**
+ * Rebuild CONFIG from the defaults and the config's top-level settings.
+ * Sections merge key by key, so `"retry": { "maxRetries": 1 }` keeps the other retry defaults.
+ */
+function applySettings(config) {
+  for (const [key, value] of Object.entries(DEFAULT_CONFIG)) {
+    CONFIG[key] = isPlainObject(value) ? { ...value, ...config[key] } : config[key] ?? value;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// ============================================================================
+// LOGGING
+// ============================================================================
+
+// Resolved secret values, masked wherever the bridge prints or returns text
+const secretValues = new Set();
+const MIN_SECRET_LENGTH = 4;
+// Argument, env and header names whose values are treated as secrets
+const SENSITIVE_KEY_PATTERN = /pass(word)?|secret|token|api[_-]?key|auth|credential|private/i;
+
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secretValues.add(value);
+  }
+}
+
+/**
+ * Mask every known secret value in a string
+ */
+function redact(text) {
+  let result = String(text);
+  for (const secret of secretValues) {
+    result = result.split(secret).join('***');
+  }
+  return result;
+}
+
+/**
+ * Log to stderr with the bridge prefix (stdout belongs to the MCP transport)
+ */
+function log(message) {
+  console.error(`[mcpbridge] ${redact(message)}`);
+}
+
+// ============================================================================
+// LOAD SERVER CONFIGURATION
+// ============================================================================
+
+const CONFIG_FILENAME = 'mcpbridge.config.json';
+const USER_CONFIG_PATH = join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'mcpbridge', CONFIG_FILENAME);
+// Where a project config is looked for, first match wins
+const PROJECT_CONFIG_PATHS = [...new Set([join(process.cwd(), CONFIG_FILENAME), join(__dirname, CONFIG_FILENAME)])];
+
+/**
+ * Config files to merge, lowest priority first: an explicit `--config` /
+ * MCPBRIDGE_CONFIG file on its own, otherwise the user-level config with the
+ * project config overlaid
+ */
+function locateConfigFiles() {
+  const explicit = getCliOption('--config') || process.env.MCPBRIDGE_CONFIG;
+  if (explicit) {
+    return [resolve(expandHome(explicit))];
+  }
+  const project = PROJECT_CONFIG_PATHS.find(path => existsSync(path));
+  return [...new Set([USER_CONFIG_PATH, project])].filter(path => path && existsSync(path));
+}
+
+/**
+ * `~/...` paths are relative to the user's home directory
+ */
+function expandHome(path) {
+  return path.startsWith('~/') ? join(homedir(), path.slice(2)) : path;
+}
+
+const CONFIG_SOURCES = locateConfigFiles();
+// The highest-priority file; relative paths in the config (envFile, audit.path,
+// ${file:...}) resolve against its directory
+const CONFIG_PATH = CONFIG_SOURCES.at(-1) ?? PROJECT_CONFIG_PATHS[0];
+const CONFIG_PROFILE = getCliOption('--profile') || process.env.MCPBRIDGE_PROFILE || null;
+// `mcpbridge validate` / `mcpbridge import` run once and exit instead of serving
+const CLI_COMMAND = ['validate', 'import'].includes(process.argv[2]) ? process.argv[2] : null;
+
+// Every file the running config was read from, includes too (watched for hot reload)
+let configFiles = [];
+
+// Mirrors config-schema.json (the published schema editors use); keep the two in sync
+const nonNegativeInt = z.number().int().min(0);
+const positiveInt = z.number().int().min(1);
+const stringMap = z.record(z.string());
+const globList = z.array(z.string());
+
+const retrySchema = z.object({
+  maxRetries: nonNegativeInt,
+  baseDelayMs: nonNegativeInt,
+  maxDelayMs: nonNegativeInt,
+  backoffMultiplier: z.number().min(1),
+  retryOn: z.array(z.enum(['transport', 'timeout', 'protocol']))
+}).partial().strict();
+
+const circuitBreakerSchema = z.object({
+  failureThreshold: positiveInt,
+  cooldownMs: nonNegativeInt
+}).partial().strict();
+
+const toolOverridesSchema = z.object({
+  idempotent: z.boolean(),
+  callTimeoutMs: positiveInt,
+  maxResultChars: nonNegativeInt,
+  requireConfirmation: z.boolean(),
+  cacheTtlMs: nonNegativeInt
+}).partial().strict();
+
+const serverSchema = z.object({
+  type: z.enum(['stdio', 'http', 'sse']),
+  command: z.string().min(1),
+  args: z.array(z.string()),
+  cwd: z.string(),
+  env: stringMap,
+  url: z.string().min(1),
+  headers: stringMap,
+  bearerToken: z.string(),
+  description: z.string(),
+  enabled: z.boolean(),
+  validateArgs: z.boolean(),
+  coerceArgs: z.boolean(),
+  retry: retrySchema,
+  idempotent: z.boolean(),
+  tools: z.record(toolOverridesSchema),
+  allowTools: globList,
+  denyTools: globList,
+  readOnly: z.boolean(),
+  maxResultChars: nonNegativeInt,
+  requireConfirmation: z.boolean(),
+  callTimeoutMs: positiveInt,
+  idleTimeoutMs: nonNegativeInt,
+  eager: z.boolean(),
+  circuitBreaker: circuitBreakerSchema,
+  cacheTtlMs: nonNegativeInt,
+  exposeTools: z.union([z.boolean(), globList]),
+  maxConcurrency: nonNegativeInt,
+  maxQueueSize: nonNegativeInt,
+  rateLimitPerMinute: nonNegativeInt
+}).partial().strict().superRefine((server, ctx) => {
+  const type = server.type || 'stdio';
+  const required = type === 'stdio' ? 'command' : 'url';
+  if (server[required] === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: [required], message: `Required for ${type} servers` });
+  }
+});
+
+const configSchema = z.object({
+  $schema: z.string().optional(),
+  servers: z.record(serverSchema),
+  profiles: z.record(z.array(z.string())).optional(),
+  envFile: z.string().optional(),
+  // Overrides of the CONFIG defaults
+  retry: retrySchema.optional(),
+  connectionTimeoutMs: positiveInt.optional(),
+  callTimeoutMs: positiveInt.optional(),
+  idleTimeoutMs: nonNegativeInt.optional(),
+  idleCheckIntervalMs: positiveInt.optional(),
+  shutdownTimeoutMs: nonNegativeInt.optional(),
+  queue: z.object({
+    maxConcurrency: nonNegativeInt,
+    maxQueueSize: nonNegativeInt,
+    rateLimitPerMinute: nonNegativeInt
+  }).partial().strict().optional(),
+  circuitBreaker: circuitBreakerSchema.optional(),
+  toolsCacheTtlMs: nonNegativeInt.optional(),
+  toolsCacheMaxStaleMs: nonNegativeInt.optional(),
+  toolsCacheSaveDebounceMs: nonNegativeInt.optional(),
+  search: z.object({
+    defaultLimit: positiveInt,
+    maxLimit: positiveInt,
+    summaryMaxChars: positiveInt
+  }).partial().strict().optional(),
+  confirmation: z.object({
+    tokenTtlMs: positiveInt,
+    useElicitation: z.boolean()
+  }).partial().strict().optional(),
+  results: z.object({
+    maxResultChars: nonNegativeInt,
+    pageSize: positiveInt,
+    maxPageSize: positiveInt,
+    storeTtlMs: positiveInt,
+    maxStoredResults: positiveInt
+  }).partial().strict().optional(),
+  batch: z.object({
+    maxCalls: positiveInt,
+    defaultConcurrency: positiveInt,
+    maxConcurrency: positiveInt
+  }).partial().strict().optional(),
+  configReloadDebounceMs: nonNegativeInt.optional(),
+  audit: z.object({
+    path: z.string(),
+    rotate: z.enum(['size', 'daily']),
+    maxSizeBytes: positiveInt,
+    maxFiles: positiveInt,
+    arguments: z.enum(['hash', 'redacted', 'full']),
+    historySize: positiveInt
+  }).partial().strict().optional(),
+  resultCache: z.object({
+    path: z.string(),
+    maxEntries: positiveInt,
+    maxEntryChars: positiveInt,
+    saveDebounceMs: nonNegativeInt
+  }).partial().strict().optional(),
+  toolsCachePath: z.union([z.string(), z.literal(false)]).optional(),
+  metrics: z.object({
+    port: nonNegativeInt.max(65535),
+    host: z.string(),
+    path: z.string().startsWith('/')
+  }).partial().strict().optional(),
+  tracing: z.object({
+    enabled: z.boolean()
+  }).partial().strict().optional(),
+  http: z.object({
+    host: z.string(),
+    path: z.string().startsWith('/'),
+    bearerToken: z.string(),
+    maxSessions: positiveInt,
+    sessionIdleTimeoutMs: nonNegativeInt,
+    maxBodyBytes: positiveInt
+  }).partial().strict().optional()
+}).strict();
+
+/**
+ * Check a parsed config against the schema; returns "path: message" strings,
+ * empty when the config is valid
+ */
+function validateConfig(config) {
+  const result = configSchema.safeParse(config);
+  if (result.success) {
+    return [];
+  }
+  return result.error.issues.map(issue =>
+    `${issue.path.length ? issue.path.join('.') : '(root)'}: ${issue.message}`
+  );
+}
+
+/**
+ * Deep-merge config objects: objects merge key by key (so a project config
+ * can set `servers.x.enabled` alone), anything else is replaced
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeConfig(merged[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Parse one config file with its `include`s merged underneath it, in order
+ * (the including file wins). Include paths are relative to the including file.
+ */
+function readConfigTree(path, files, including = []) {
+  if (including.includes(path)) {
+    throw new Error(`include cycle: ${[...including, path].join(' -> ')}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    const origin = including.length ? ` (included from ${including.at(-1)})` : '';
+    throw new Error(`${path}${origin}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+  }
+  if (!isPlainObject(config)) {
+    throw new Error(`${path}: expected a JSON object`);
+  }
+  files.push(path);
+
+  const { include = [], ...own } = config;
+  if (!Array.isArray(include) || !include.every(entry => typeof entry === 'string')) {
+    throw new Error(`${path}: include must be an array of file paths`);
+  }
+  const included = include.reduce((merged, entry) => mergeConfig(
+    merged,
+    readConfigTree(resolve(dirname(path), expandHome(entry)), files, [...including, path])
+  ), {});
+  return mergeConfig(included, own);
+}
+
+/**
+ * With a profile selected, enable exactly the servers it lists
+ */
+function applyProfile(config, profile = CONFIG_PROFILE) {
+  if (!profile) {
+    return config;
+  }
+  const profiles = config.profiles || {};
+  const members = profiles[profile];
+  if (!members) {
+    throw new Error(`unknown profile "${profile}". Defined: ${Object.keys(profiles).join(', ') || 'none'}`);
+  }
+  const unknown = members.filter(name => !config.servers[name]);
+  if (unknown.length > 0) {
+    throw new Error(`profile "${profile}" lists unknown server(s): ${unknown.join(', ')}`);
+  }
+
+  const servers = Object.fromEntries(Object.entries(config.servers).map(([name, server]) =>
+    [name, { ...server, enabled: members.includes(name) }]
+  ));
+  return { ...config, servers };
+}
+
+/**
+ * Read, merge and validate the config files (throws on failure, with one
+ * line per schema violation)
+ */
+function readConfig() {
+  const files = [];
+  const config = CONFIG_SOURCES.reduce((merged, path) => mergeConfig(merged, readConfigTree(path, files)), {});
+  const issues = validateConfig(config);
+  if (issues.length > 0) {
+    throw new Error(`${issues.length} problem(s) in ${files.map(file => basename(file)).join(' + ')}:\n  ${issues.join('\n  ')}`);
+  }
+  const profiled = applyProfile(config);
+  configFiles = files;
+  return profiled;
+}
+
+function loadConfig() {
+  if (CONFIG_SOURCES.length === 0 || !existsSync(CONFIG_PATH)) {
+    // import can create the first config
+    if (CLI_COMMAND === 'import') {
+      return { servers: {} };
+    }
+    const searched = CONFIG_SOURCES.length ? CONFIG_SOURCES : [...PROJECT_CONFIG_PATHS, USER_CONFIG_PATH];
+    log(`Config not found, looked for: ${searched.join(', ')}`);
+    log('Copy mcpbridge.config.example.json to mcpbridge.config.json');
+    process.exit(1);
+  }
+  
+  try {
+    return readConfig();
+  } catch (error) {
+    log(`Invalid config: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Names of servers not explicitly disabled
+ */
+function getEnabledServers(servers) {
+  return Object.entries(servers)
+    .filter(([_, config]) => config.enabled !== false)
+    .map(([name]) => name);
+}
+
+// Loaded by main() (importing this file must not read the config or exit),
+// reassigned on config hot-reload
+let bridgeConfig = { servers: {} };
+let SERVERS = {};
+let enabledServers = [];
+
+function initConfig() {
+  bridgeConfig = loadConfig();
+  SERVERS = bridgeConfig.servers || {};
+  enabledServers = getEnabledServers(SERVERS);
+  applySettings(bridgeConfig);
+
+  log(`Config: ${configFiles.join(', ') || 'none'}${CONFIG_PROFILE ? ` (profile ${CONFIG_PROFILE})` : ''}`);
+  log(`Loaded ${enabledServers.length} servers: ${enabledServers.join(', ')}`);
+}
+
+/**
+ * Resolve a setting for a tool: the server's `tools.<name>` entry wins,
+ * then the server-level value, then the fallback
+ */
+function getToolOption(serverName, toolName, key, fallback) {
+  const serverConfig = SERVERS[serverName] || {};
+  return serverConfig.tools?.[toolName]?.[key] ?? serverConfig[key] ?? fallback;
+}
+
+// ============================================================================
+// ERROR CLASSIFICATION
+// ============================================================================
+
+/**
+ * Failure kinds, used to decide what is worth retrying:
+ * - transport: process died, connection refused/closed (connection is discarded)
+ * - timeout:   request or connection timed out
+ * - protocol:  backend answered with a JSON-RPC error (e.g. invalid params)
+ * - tool:      backend ran the tool and returned isError: true
+ * - config:    bridge-side misconfiguration (unknown/disabled server, bad type)
+ * - circuit_open: server's circuit breaker is open, nothing was attempted
+ * - cancelled: the upstream client cancelled the request
+ * - policy:    the tool is hidden or blocked by the server's tool policy
+ * - queue_full: the server's call queue is at maxQueueSize, nothing was attempted
+ */
+const ERROR_KINDS = {
+  TRANSPORT: 'transport',
+  TIMEOUT: 'timeout',
+  PROTOCOL: 'protocol',
+  TOOL: 'tool',
+  CONFIG: 'config',
+  CIRCUIT_OPEN: 'circuit_open',
+  CANCELLED: 'cancelled',
+  POLICY: 'policy',
+  QUEUE_FULL: 'queue_full'
+};
+
+/**
+ * Create an Error tagged with its failure kind
+ */
+function bridgeError(message, kind) {
+  const error = new Error(message);
+  error.kind = kind;
+  return error;
+}
+
+function classifyError(error) {
+  if (error.kind) {
+    return error.kind;
+  }
+  if (error instanceof McpError) {
+    if (error.code === ErrorCode.RequestTimeout) return ERROR_KINDS.TIMEOUT;
+    if (error.code === ErrorCode.ConnectionClosed) return ERROR_KINDS.TRANSPORT;
+    return ERROR_KINDS.PROTOCOL;
+  }
+  if (/timed? ?out/i.test(error.message)) {
+    return ERROR_KINDS.TIMEOUT;
+  }
+  return ERROR_KINDS.TRANSPORT;
+}
+
+/**
+ * Effective retry policy for a server (CONFIG.retry merged with its `retry`)
+ */
+function getRetryPolicy(serverName) {
+  return { ...CONFIG.retry, ...SERVERS[serverName]?.retry };
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+/**
+ * Per-server breaker around connection attempts:
+ * - closed:    connections attempted normally, failures counted
+ * - open:      `failureThreshold` consecutive failures; fast-fail until `cooldownMs` passes
+ * - half_open: cooldown passed; one probe connection allowed, others fast-fail
+ */
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
 };
 
+const circuits = new Map(); // serverName -> { state, failures, openedAt, lastError }
+
+function getCircuitPolicy(serverName) {
+  return { ...CONFIG.circuitBreaker, ...SERVERS[serverName]?.circuitBreaker };
+}
+
+/**
+ * Throw a fast-fail error if the server's circuit does not allow a connection
+ * attempt right now. Moves an expired open circuit to half-open (this caller probes).
+ */
+function checkCircuit(serverName) {
+  const circuit = circuits.get(serverName);
+  if (!circuit || circuit.state === CIRCUIT_STATES.CLOSED) {
+    return;
+  }
+
+  const { cooldownMs } = getCircuitPolicy(serverName);
+  const retryAfterMs = Math.max(0, circuit.openedAt + cooldownMs - Date.now());
+
+  if (circuit.state === CIRCUIT_STATES.OPEN && retryAfterMs === 0) {
+    circuit.state = CIRCUIT_STATES.HALF_OPEN;
+    log(`Circuit half-open for ${serverName}, probing`);
+    return;
+  }
+
+  const error = bridgeError(
+    circuit.state === CIRCUIT_STATES.HALF_OPEN
+      ? `Server ${serverName} is being probed after repeated failures. Retry shortly.`
+      : `Server ${serverName} is unavailable after ${circuit.failures} consecutive connection failures ` +
+        `(last: ${circuit.lastError}). Retry in ${Math.ceil(retryAfterMs / 1000)}s.`,
+    ERROR_KINDS.CIRCUIT_OPEN
+  );
+  error.retryAfterMs = circuit.state === CIRCUIT_STATES.HALF_OPEN ? 1000 : retryAfterMs;
+  throw error;
+}
+
+function recordConnectionSuccess(serverName) {
+  const circuit = circuits.get(serverName);
+  if (circuit && circuit.state !== CIRCUIT_STATES.CLOSED) {
+    log(`Circuit closed for ${serverName}`);
+  }
+  circuits.delete(serverName);
+}
+
+function recordConnectionFailure(serverName, error) {
+  const circuit = circuits.get(serverName) || { state: CIRCUIT_STATES.CLOSED, failures: 0 };
+  circuit.failures++;
+  circuit.lastError = error.message;
+
+  const { failureThreshold } = getCircuitPolicy(serverName);
+  if (circuit.state === CIRCUIT_STATES.HALF_OPEN || circuit.failures >= failureThreshold) {
+    circuit.state = CIRCUIT_STATES.OPEN;
+    circuit.openedAt = Date.now();
+    log(`Circuit open for ${serverName} after ${circuit.failures} failures`);
+  }
+
+  circuits.set(serverName, circuit);
+}
+
+/**
+ * Breaker state for reporting in health checks and stats
+ */
+function getCircuitStatus(serverName) {
+  const circuit = circuits.get(serverName);
+  if (!circuit) {
+    return { state: CIRCUIT_STATES.CLOSED, failures: 0 };
+  }
+
+  const status = { state: circuit.state, failures: circuit.failures };
+  if (circuit.state === CIRCUIT_STATES.OPEN) {
+    const { cooldownMs } = getCircuitPolicy(serverName);
+    status.retry_after_ms = Math.max(0, circuit.openedAt + cooldownMs - Date.now());
+  }
+  return status;
+}
+
+// ============================================================================
+// CONCURRENCY LIMITS
+// ============================================================================
+
+const RATE_WINDOW_MS = 60000;
+
+const callQueues = new Map(); // serverName -> { active, waiting, callTimes, timer, stats }
+
+function getQueueLimits(serverName) {
+  const serverConfig = SERVERS[serverName] || {};
+  return {
+    maxConcurrency: serverConfig.maxConcurrency ?? CONFIG.queue.maxConcurrency,
+    maxQueueSize: serverConfig.maxQueueSize ?? CONFIG.queue.maxQueueSize,
+    rateLimitPerMinute: serverConfig.rateLimitPerMinute ?? CONFIG.queue.rateLimitPerMinute
+  };
+}
+
+function getCallQueue(serverName) {
+  if (!callQueues.has(serverName)) {
+    callQueues.set(serverName, {
+      active: 0,
+      waiting: [], // FIFO of { grant, reject, enqueuedAt, onAbort, signal }
+      callTimes: [], // dispatch times within the rate window
+      timer: null,
+      stats: { dispatched: 0, queued: 0, rejected: 0, totalWaitMs: 0, maxWaitMs: 0, maxDepth: 0 }
+    });
+  }
+  return callQueues.get(serverName);
+}
+
+/**
+ * Whether another call may start now; when only the rate limit is in the
+ * way, also returns how long until the oldest call leaves the window
+ */
+function checkQueueCapacity(queue, limits) {
+  const now = Date.now();
+  while (queue.callTimes.length > 0 && now - queue.callTimes[0] >= RATE_WINDOW_MS) {
+    queue.callTimes.shift();
+  }
+  if (limits.maxConcurrency > 0 && queue.active >= limits.maxConcurrency) {
+    return { ok: false };
+  }
+  if (limits.rateLimitPerMinute > 0 && queue.callTimes.length >= limits.rateLimitPerMinute) {
+    return { ok: false, retryInMs: queue.callTimes[0] + RATE_WINDOW_MS - now };
+  }
+  return { ok: true };
+}
+
+function takeSlot(serverName, queue, enqueuedAt) {
+  const waitedMs = Date.now() - enqueuedAt;
+  queue.active++;
+  queue.callTimes.push(Date.now());
+  queue.stats.dispatched++;
+  queue.stats.totalWaitMs += waitedMs;
+  queue.stats.maxWaitMs = Math.max(queue.stats.maxWaitMs, waitedMs);
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    queue.active--;
+    pumpCallQueue(serverName);
+  };
+  return { release, waitedMs };
+}
+
+/**
+ * Start queued calls, in order, while capacity allows
+ */
+function pumpCallQueue(serverName) {
+  const queue = getCallQueue(serverName);
+  const limits = getQueueLimits(serverName);
+
+  while (queue.waiting.length > 0) {
+    const capacity = checkQueueCapacity(queue, limits);
+    if (!capacity.ok) {
+      // Rate-limited with nothing running: nothing else will wake the queue
+      if (capacity.retryInMs !== undefined && !queue.timer) {
+        queue.timer = setTimeout(() => {
+          queue.timer = null;
+          pumpCallQueue(serverName);
+        }, capacity.retryInMs);
+      }
+      return;
+    }
+    const waiter = queue.waiting.shift();
+    waiter.signal?.removeEventListener('abort', waiter.onAbort);
+    waiter.grant(takeSlot(serverName, queue, waiter.enqueuedAt));
+  }
+}
+
+/**
+ * Wait for a call slot on a server (FIFO, within maxConcurrency and the rate
+ * limit). Resolves to { release, waitedMs }; release() must be called when
+ * the call finishes. Rejects with queue_full when the queue is at capacity.
+ */
+function acquireCallSlot(serverName, signal) {
+  const limits = getQueueLimits(serverName);
+  if (limits.maxConcurrency <= 0 && limits.rateLimitPerMinute <= 0 && !callQueues.has(serverName)) {
+    return Promise.resolve({ release: () => {}, waitedMs: 0 });
+  }
+
+  const queue = getCallQueue(serverName);
+  const enqueuedAt = Date.now();
+  if (queue.waiting.length === 0 && checkQueueCapacity(queue, limits).ok) {
+    return Promise.resolve(takeSlot(serverName, queue, enqueuedAt));
+  }
+
+  if (limits.maxQueueSize > 0 && queue.waiting.length >= limits.maxQueueSize) {
+    queue.stats.rejected++;
+    return Promise.reject(bridgeError(
+      `${serverName} call queue is full (${queue.waiting.length} waiting, ${queue.active} running)`,
+      ERROR_KINDS.QUEUE_FULL
+    ));
+  }
+
+  if (signal?.aborted) {
+    return Promise.reject(bridgeError('Request cancelled by client', ERROR_KINDS.CANCELLED));
+  }
+
+  return new Promise((grant, reject) => {
+    const waiter = { grant, reject, enqueuedAt, signal };
+    waiter.onAbort = () => {
+      queue.waiting.splice(queue.waiting.indexOf(waiter), 1);
+      reject(bridgeError('Request cancelled by client while queued', ERROR_KINDS.CANCELLED));
+    };
+    signal?.addEventListener('abort', waiter.onAbort, { once: true });
+
+    queue.waiting.push(waiter);
+    queue.stats.queued++;
+    queue.stats.maxDepth = Math.max(queue.stats.maxDepth, queue.waiting.length);
+    pumpCallQueue(serverName);
+  });
+}
+
+function getQueueStatus(serverName) {
+  const queue = callQueues.get(serverName);
+  const limits = getQueueLimits(serverName);
+  checkQueueCapacity(queue, limits); // drops call times outside the window
+  return {
+    running: queue.active,
+    waiting: queue.waiting.length,
+    max_concurrency: limits.maxConcurrency || null,
+    max_queue_size: limits.maxQueueSize,
+    rate_limit_per_minute: limits.rateLimitPerMinute || null,
+    calls_last_minute: queue.callTimes.length,
+    dispatched: queue.stats.dispatched,
+    queued: queue.stats.queued,
+    rejected: queue.stats.rejected,
+    avg_wait_ms: queue.stats.dispatched > 0 ? Math.round(queue.stats.totalWaitMs / queue.stats.dispatched) : 0,
+    max_wait_ms: queue.stats.maxWaitMs,
+    max_depth: queue.stats.maxDepth
+  };
+}
+
+// ============================================================================
+// TOOL POLICY
+// ============================================================================
+
+// Used by readOnly mode for tools that don't declare annotations.readOnlyHint
+const READ_ONLY_NAME_PATTERN = /^(get|list|read|search|find|fetch|describe|show|view)([_-]|[A-Z]|$)/;
+
+const globCache = new Map(); // glob -> RegExp
+
+/**
+ * Convert a tool-name glob (`*` any run, `?` one character) to a RegExp
+ */
+function globToRegExp(glob) {
+  if (!globCache.has(glob)) {
+    const source = glob
+      .split('')
+      .map(ch => ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+      .join('');
+    globCache.set(glob, new RegExp(`^${source}$`));
+  }
+  return globCache.get(glob);
+}
+
+function matchesAnyGlob(name, globs) {
+  return globs.some(glob => globToRegExp(glob).test(name));
+}
+
+/**
+ * Whether a tool is considered read-only: its readOnlyHint annotation when
+ * present, otherwise a name heuristic (get_*, list_*, read_*, search_* ...)
+ */
+function isReadOnlyTool(toolName, tool) {
+  const hint = tool?.annotations?.readOnlyHint;
+  if (typeof hint === 'boolean') {
+    return hint;
+  }
+  return READ_ONLY_NAME_PATTERN.test(toolName);
+}
+
+/**
+ * Check a tool against its server's `allowTools` / `denyTools` / `readOnly`
+ * settings. Returns a reason string if the tool is blocked, else null.
+ */
+function getToolPolicyViolation(serverName, toolName, tool) {
+  return getPolicyViolation(SERVERS[serverName] || {}, toolName, tool);
+}
+
+/**
+ * getToolPolicyViolation against a given server config. Deny wins over allow.
+ */
+function getPolicyViolation(serverConfig, toolName, tool) {
+  const { allowTools, denyTools } = serverConfig;
+
+  if (denyTools?.length && matchesAnyGlob(toolName, denyTools)) {
+    return `matches denyTools (${denyTools.join(', ')})`;
+  }
+  if (allowTools?.length && !matchesAnyGlob(toolName, allowTools)) {
+    return `not in allowTools (${allowTools.join(', ')})`;
+  }
+  if (serverConfig.readOnly === true && !isReadOnlyTool(toolName, tool)) {
+    return 'server is read-only and the tool may modify state';
+  }
+  return null;
+}
+
+/**
+ * Throw a policy error if the tool may not be used. Name rules are checked
+ * without touching the backend; read-only mode needs the tool's annotations.
+ */
+async function assertToolAllowed(serverName, toolName) {
+  let violation = getToolPolicyViolation(serverName, toolName, null);
+
+  if (!violation && SERVERS[serverName]?.readOnly === true) {
+    const tools = await fetchServerTools(serverName);
+    violation = getToolPolicyViolation(serverName, toolName, tools.find(t => t.name === toolName));
+  }
+
+  if (violation) {
+    throw bridgeError(`Tool "${toolName}" on ${serverName} is blocked by policy: ${violation}`, ERROR_KINDS.POLICY);
+  }
+}
+
+// ============================================================================
+// SECRETS RESOLUTION
+// ============================================================================
+
+const SECRET_PLACEHOLDER = /\$\{(env|file|dotenv):([^}]+)\}/g;
+
+/**
+ * Parse a .env file: KEY=VALUE lines, `export` prefix, # comments, quoted values
+ */
+function parseDotenv(text) {
+  const values = {};
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    let value = match[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length >= 2) {
+      value = value.slice(1, -1);
+      if (quote === '"') value = value.replace(/\\n/g, '\n');
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  }
+  return values;
+}
+
+/**
+ * Load the dotenv file named by the config's `envFile` (default: `.env`
+ * next to the config). A missing default file is not an error.
+ */
+function loadDotenv() {
+  const envFile = resolve(dirname(CONFIG_PATH), bridgeConfig.envFile || '.env');
+  if (!existsSync(envFile)) {
+    if (bridgeConfig.envFile) {
+      throw bridgeError(`envFile not found: ${envFile}`, ERROR_KINDS.CONFIG);
+    }
+    return {};
+  }
+  return parseDotenv(readFileSync(envFile, 'utf-8'));
+}
+
+/**
+ * Replace ${env:VAR}, ${file:path} and ${dotenv:KEY} placeholders in a string.
+ * Resolved values are registered for redaction.
+ */
+function resolvePlaceholders(value, serverName, getDotenv) {
+  if (typeof value !== 'string') return value;
+
+  return value.replace(SECRET_PLACEHOLDER, (_, source, key) => {
+    let resolved;
+    if (source === 'env') {
+      resolved = process.env[key];
+    } else if (source === 'dotenv') {
+      resolved = getDotenv()[key];
+    } else {
+      // Relative to the config file; ~ is the user's home directory
+      const filePath = resolve(dirname(CONFIG_PATH), expandHome(key));
+      resolved = existsSync(filePath) ? readFileSync(filePath, 'utf-8').trim() : undefined;
+    }
+
+    if (resolved === undefined) {
+      throw bridgeError(`Server ${serverName}: cannot resolve \${${source}:${key}}`, ERROR_KINDS.CONFIG);
+    }
+    registerSecret(resolved);
+    return resolved;
+  });
+}
+
+/**
+ * Copy of a server config with placeholders resolved in the fields that
+ * reach the transport (args, env, cwd, url, headers, bearerToken).
+ * Placeholder values are registered as secrets while resolving; literal
+ * values only for bearerToken and auth-like env/header names, so ordinary
+ * settings such as DEBUG=true are not masked everywhere.
+ */
+function resolveServerConfig(serverName, serverConfig) {
+  let dotenv;
+  const getDotenv = () => (dotenv ??= loadDotenv());
+  const resolveValue = value => resolvePlaceholders(value, serverName, getDotenv);
+  const resolveMap = map => map && Object.fromEntries(
+    Object.entries(map).map(([key, value]) => [key, resolveValue(value)])
+  );
+
+  const resolved = {
+    ...serverConfig,
+    args: serverConfig.args?.map(resolveValue),
+    env: resolveMap(serverConfig.env),
+    cwd: resolveValue(serverConfig.cwd),
+    url: resolveValue(serverConfig.url),
+    headers: resolveMap(serverConfig.headers),
+    bearerToken: resolveValue(serverConfig.bearerToken)
+  };
+
+  for (const map of [resolved.env, resolved.headers]) {
+    for (const [key, value] of Object.entries(map || {})) {
+      if (SENSITIVE_KEY_PATTERN.test(key)) registerSecret(value);
+    }
+  }
+  registerSecret(resolved.bearerToken);
+
+  return resolved;
+}
+
+// ============================================================================
+// CONNECTION MANAGEMENT
+// ============================================================================
+
+const connections = new Map(); // serverName -> { client, transport, connected, lastUsedAt, inFlight }
+const pendingConnections = new Map(); // serverName -> Promise<client> while connecting
+const toolsCache = new Map(); // serverName -> { tools, cachedAt, configHash }
+const pendingToolFetches = new Map(); // serverName -> Promise<tools> while listing
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Close and forget the connection to a server (no-op if not connected)
+ */
+async function closeConnection(serverName) {
+  const conn = connections.get(serverName);
+  if (!conn) return;
+
+  connections.delete(serverName);
+  try {
+    // Kills the child process for stdio servers
+    await conn.client.close();
+  } catch (error) {
+    log(`Error closing ${serverName}: ${error.message}`);
+  }
+}
+
+/**
+ * Calculate retry delay with exponential backoff and jitter
+ */
+function getRetryDelay(attempt, policy = CONFIG.retry) {
+  const baseDelay = policy.baseDelayMs * Math.pow(policy.backoffMultiplier, attempt);
+  const jitter = Math.random() * 0.3 * baseDelay;
+  return Math.min(baseDelay + jitter, policy.maxDelayMs);
+}
+
+/**
+ * Create the client transport for a server based on its `type`
+ * (stdio by default, or http/sse for remote servers)
+ */
+function createTransport(serverName, serverConfig) {
+  const type = serverConfig.type || 'stdio';
+
+  if (type === 'stdio') {
+    if (!serverConfig.command) {
+      throw bridgeError(`Server ${serverName} has no command configured`, ERROR_KINDS.CONFIG);
+    }
+    return new StdioClientTransport({
+      command: serverConfig.command,
+      args: serverConfig.args || [],
+      env: { ...process.env, ...serverConfig.env },
+      cwd: serverConfig.cwd
+    });
+  }
+
+  if (type === 'http' || type === 'sse') {
+    if (!serverConfig.url) {
+      throw bridgeError(`Server ${serverName} (type ${type}) has no url configured`, ERROR_KINDS.CONFIG);
+    }
+
+    let url;
+    try {
+      url = new URL(serverConfig.url);
+    } catch {
+      throw bridgeError(`Server ${serverName} has an invalid url: ${serverConfig.url}`, ERROR_KINDS.CONFIG);
+    }
+
+    const headers = { ...serverConfig.headers };
+    if (serverConfig.bearerToken) {
+      headers.Authorization = `Bearer ${serverConfig.bearerToken}`;
+    }
+    const requestInit = { headers };
+
+    return type === 'http'
+      ? new StreamableHTTPClientTransport(url, { requestInit })
+      : new SSEClientTransport(url, { requestInit });
+  }
+
+  throw bridgeError(`Server ${serverName} has unsupported type "${type}". Supported: stdio, http, sse`, ERROR_KINDS.CONFIG);
+}
+
+/**
+ * Get or create connection to an MCP server
+ */
+async function getConnection(serverName) {
+  // Check existing connection
+  const existing = connections.get(serverName);
+  if (existing?.connected) {
+    existing.lastUsedAt = Date.now();
+    return existing.client;
+  }
+  
+  // Share an in-progress connection instead of spawning a second process
+  const pending = pendingConnections.get(serverName);
+  if (pending) {
+    return pending;
+  }
+  
+  const serverConfig = SERVERS[serverName];
+  if (!serverConfig) {
+    throw bridgeError(`Unknown server: ${serverName}. Available: ${enabledServers.join(', ')}`, ERROR_KINDS.CONFIG);
+  }
+  
+  if (serverConfig.enabled === false) {
+    throw bridgeError(`Server ${serverName} is disabled`, ERROR_KINDS.CONFIG);
+  }
+  
+  checkCircuit(serverName);
+  
+  const connecting = withSpan('mcpbridge.connect', { 'mcp.server': serverName }, () => connectServer(serverName, serverConfig));
+  pendingConnections.set(serverName, connecting);
+  try {
+    return await connecting;
+  } finally {
+    pendingConnections.delete(serverName);
+  }
+}
+
+/**
+ * Spawn/connect a server and register lifecycle hooks so a crashed child
+ * or dropped remote connection is marked dead immediately
+ */
+async function connectServer(serverName, serverConfig) {
+  let transport;
+  const client = new Client(
+    { name: `mcpbridge->${serverName}`, version: '2.3.0' },
+    { capabilities: {} }
+  );
+  
+  client.onclose = () => {
+    // Only react if this is still the live connection (closeConnection removes it first)
+    if (connections.get(serverName)?.client !== client) return;
+    connections.delete(serverName);
+    log(`${serverName} disconnected unexpectedly`);
+  };
+  // Errors aren't fatal: the SDK reports a stray non-JSON stdout line here
+  // and carries on. A dead child shows up as onclose.
+  client.onerror = (error) => {
+    log(`${serverName} transport error: ${error.message}`);
+  };
+  
+  let timer;
+  try {
+    // Secrets are resolved now, not at config load. Inside the try, so a bad
+    // placeholder or url counts as a failed attempt (and ends a half-open probe)
+    transport = createTransport(serverName, resolveServerConfig(serverName, serverConfig));
+
+    // Connect with timeout
+    const connectPromise = client.connect(transport);
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Connection timeout')), CONFIG.connectionTimeoutMs);
+    });
+    await Promise.race([connectPromise, timeoutPromise]);
+    connections.set(serverName, { client, transport, connected: true, lastUsedAt: Date.now(), inFlight: 0 });
+    recordConnectionSuccess(serverName);
+    incrementCounter('mcpbridge_connection_attempts_total', { server: serverName, outcome: 'success' });
+    log(`Connected to ${serverName}`);
+    announceServerCatalogs(serverName, client);
+    return client;
+  } catch (error) {
+    // Don't leave a half-started child behind
+    client.close().catch(() => {});
+    recordConnectionFailure(serverName, error);
+    incrementCounter('mcpbridge_connection_attempts_total', { server: serverName, outcome: 'failure' });
+    if (error.kind === ERROR_KINDS.CONFIG) {
+      throw error;
+    }
+    throw bridgeError(`Failed to connect to ${serverName}: ${error.message}`, ERROR_KINDS.TRANSPORT);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Get tools from a server (with caching), filtered by the server's tool policy
+ */
+async function getServerTools(serverName) {
+  const tools = await fetchServerTools(serverName);
+  return tools.filter(tool => getToolPolicyViolation(serverName, tool.name, tool) === null);
+}
+
+/**
+ * Get the backend's full, unfiltered tool list (with caching).
+ * A list older than toolsCacheTtlMs is still returned, and refreshed in the
+ * background, so cold starts answer from the disk cache without spawning.
+ */
+async function fetchServerTools(serverName) {
+  const cached = toolsCache.get(serverName);
+  if (cached && cached.configHash === getServerConfigHash(serverName)) {
+    const age = Date.now() - cached.cachedAt;
+    if (age < CONFIG.toolsCacheTtlMs) {
+      return cached.tools;
+    }
+    if (age < CONFIG.toolsCacheMaxStaleMs) {
+      revalidateServerTools(serverName);
+      return cached.tools;
+    }
+  }
+
+  return await refreshServerTools(serverName);
+}
+
+/**
+ * List tools from the backend and cache them (concurrent callers share one request)
+ */
+function refreshServerTools(serverName) {
+  if (pendingToolFetches.has(serverName)) {
+    return pendingToolFetches.get(serverName);
+  }
+
+  const fetching = (async () => {
+    const configHash = getServerConfigHash(serverName);
+    const client = await getConnection(serverName);
+    const result = await client.listTools();
+    const tools = result.tools || [];
+    const previous = toolsCache.get(serverName);
+
+    toolsCache.set(serverName, { tools, cachedAt: Date.now(), configHash });
+    log(`Cached ${tools.length} tools from ${serverName}`);
+    scheduleToolsCacheSave();
+
+    // Directly exposed tools are part of the bridge's own tool list
+    const toolNames = list => list.map(tool => tool.name).join('\0');
+    if (previous && toolNames(previous.tools) !== toolNames(tools) && getExposedServers().includes(serverName)) {
+      notifyToolListChanged();
+    }
+    return tools;
+  })().finally(() => pendingToolFetches.delete(serverName));
+
+  pendingToolFetches.set(serverName, fetching);
+  return fetching;
+}
+
+function revalidateServerTools(serverName) {
+  if (pendingToolFetches.has(serverName)) {
+    return;
+  }
+  log(`Revalidating cached tools for ${serverName}`);
+  refreshServerTools(serverName).catch(error => {
+    log(`Revalidating ${serverName} tools failed, keeping cached list: ${error.message}`);
+  });
+}
+
+/**
+ * Execute a tool call with retry logic.
+ *
+ * Only failures whose kind is listed in the server's `retry.retryOn` are
+ * retried. Failures while connecting are retried for any tool; once the
+ * request has reached the backend it may have run, so it is only retried
+ * for tools known to be idempotent (see isKnownIdempotent).
+ * With an explicit timeoutMs the caller chose the budget: no retries at all.
+ * A tool result with isError: true is returned as-is, never retried.
+ *
+ * Options:
+ * - signal:     upstream AbortSignal; aborting sends notifications/cancelled to the backend
+ * - timeoutMs:  per-attempt timeout (defaults to the server/tool `callTimeoutMs`)
+ * - onprogress: receives backend progress notifications
+ *
+ * Calls wait their turn in the server's queue (maxConcurrency / rateLimitPerMinute)
+ * first. Every call is recorded in the call history, audit log and metrics.
+ */
+async function executeToolCall(serverName, toolName, args, options = {}) {
+  const spanAttributes = { 'mcp.server': serverName, 'mcp.tool': toolName };
+  return withSpan('mcpbridge.call_tool', spanAttributes, async (span) => {
+    const startedAt = Date.now();
+    const stats = { attempts: 0, queuedMs: 0 };
+    let slot;
+
+    try {
+      slot = await acquireCallSlot(serverName, options.signal);
+      stats.queuedMs = slot.waitedMs;
+      const result = await callWithRetries(serverName, toolName, args, options, stats);
+      recordCall({ serverName, toolName, args, startedAt, ...stats, result });
+      return result;
+    } catch (error) {
+      recordCall({ serverName, toolName, args, startedAt, ...stats, error });
+      throw error;
+    } finally {
+      slot?.release();
+      span?.setAttributes({ 'mcpbridge.attempts': stats.attempts, 'mcpbridge.queued_ms': stats.queuedMs });
+    }
+  });
+}
+
+/**
+ * Whether a dispatched call may safely run twice: `idempotent` as configured
+ * for the tool or server, else the tool's cached annotations
+ */
+function isKnownIdempotent(serverName, toolName) {
+  const annotations = toolsCache.get(serverName)?.tools.find(tool => tool.name === toolName)?.annotations;
+  return isIdempotentTool(getToolOption(serverName, toolName, 'idempotent', undefined), annotations);
+}
+
+/**
+ * The configured `idempotent` wins. Otherwise a destructiveHint or
+ * idempotentHint: false wins over readOnlyHint; no annotations means no.
+ */
+function isIdempotentTool(configured, annotations) {
+  if (configured !== undefined) {
+    return configured;
+  }
+  if (annotations?.destructiveHint === true || annotations?.idempotentHint === false) {
+    return false;
+  }
+  return annotations?.idempotentHint === true || annotations?.readOnlyHint === true;
+}
+
+/**
+ * Why a failed attempt must not be retried, or null if it may be. Failures
+ * before dispatch (connecting) are safe to retry; after, the tool may have run.
+ */
+function getRetryRefusal(kind, { retryOn, dispatched, idempotent }) {
+  if (kind === ERROR_KINDS.CANCELLED || !retryOn.includes(kind)) {
+    return `${kind} errors are not retried`;
+  }
+  if (dispatched && !idempotent) {
+    return 'it may have run and is not known to be idempotent';
+  }
+  return null;
+}
+
+async function callWithRetries(serverName, toolName, args, options, stats) {
+  const retryPolicy = getRetryPolicy(serverName);
+  const policy = options.timeoutMs === undefined ? retryPolicy : { ...retryPolicy, maxRetries: 0 };
+  const timeout = options.timeoutMs ?? getToolOption(serverName, toolName, 'callTimeoutMs', CONFIG.callTimeoutMs);
+  const { signal, onprogress } = options;
+  let lastError;
+  let attempt = 0;
+  
+  for (; attempt <= policy.maxRetries; attempt++) {
+    if (signal?.aborted) {
+      lastError = bridgeError('Request cancelled by client', ERROR_KINDS.CANCELLED);
+      break;
+    }
+    
+    let dispatched = false;
+    stats.attempts = attempt + 1;
+    try {
+      const client = await getConnection(serverName);
+      const conn = connections.get(serverName);
+      dispatched = true;
+      // Keep the idle reaper away while the call is running
+      if (conn) conn.inFlight++;
+      try {
+        // Carries the current span's trace context to the backend, if tracing
+        const _meta = getTraceMeta();
+        return await client.callTool(
+          { name: toolName, arguments: args, ...(_meta ? { _meta } : {}) },
+          undefined,
+          { signal, timeout, onprogress }
+        );
+      } finally {
+        if (conn) {
+          conn.inFlight--;
+          conn.lastUsedAt = Date.now();
+        }
+      }
+    } catch (error) {
+      // Aborts reject with the signal's reason, which may not be an Error
+      lastError = error instanceof Error ? error : new Error(String(error));
+      lastError.kind = signal?.aborted ? ERROR_KINDS.CANCELLED : classifyError(lastError);
+      log(`${serverName}.${toolName} attempt ${attempt + 1} failed (${lastError.kind}): ${lastError.message}`);
+      
+      // Only a dead transport warrants a fresh connection
+      if (lastError.kind === ERROR_KINDS.TRANSPORT) {
+        await closeConnection(serverName);
+      }
+      
+      const refusal = getRetryRefusal(lastError.kind, {
+        retryOn: policy.retryOn,
+        dispatched,
+        idempotent: isKnownIdempotent(serverName, toolName)
+      });
+      if (refusal) {
+        log(`${serverName}.${toolName} not retried: ${refusal}`);
+        break;
+      }
+      
+      if (attempt < policy.maxRetries) {
+        const delay = getRetryDelay(attempt, policy);
+        log(`Retrying in ${Math.round(delay)}ms...`);
+        await sleep(delay);
+      }
+    }
+  }
+  
+  const attempts = Math.min(attempt + 1, policy.maxRetries + 1);
+  const error = bridgeError(
+    `${serverName}.${toolName} failed after ${attempts} attempt${attempts === 1 ? '' : 's'} (${lastError.kind} error): ${lastError.message}`,
+    lastError.kind
+  );
+  error.retryAfterMs = lastError.retryAfterMs;
+  throw error;
+}
+
+// ============================================================================
+// TOOL CACHE PERSISTENCE
+// ============================================================================
+
+// Entries on disk are keyed by config hash, so bridges with different
+// configs can share the file and a changed server never matches stale tools
+let persistedTools = {}; // configHash -> { server, tools, cachedAt }
+let persistedCatalogs = {}; // configHash -> { server, catalogs: { [kind]: { items, cachedAt } } }
+let toolsCacheSaveTimer = null;
+
+// Server fields that determine which backend (and so which tools) we talk to
+const SERVER_IDENTITY_FIELDS = ['type', 'command', 'args', 'cwd', 'env', 'url', 'headers'];
+
+/**
+ * Hash of a server's identity fields as written in the config
+ * (placeholders unresolved, so secrets never reach the cache file)
+ */
+function getServerConfigHash(serverName) {
+  const serverConfig = SERVERS[serverName] || {};
+  const identity = Object.fromEntries(SERVER_IDENTITY_FIELDS.map(key => [key, serverConfig[key] ?? null]));
+  return createHash('sha256').update(canonicalJson({ server: serverName, ...identity })).digest('hex');
+}
+
+function getToolsCachePath() {
+  const cachePath = bridgeConfig.toolsCachePath ?? CONFIG.toolsCachePath;
+  return cachePath ? resolve(dirname(CONFIG_PATH), cachePath) : null;
+}
+
+/**
+ * Write JSON via a temp file, so a crash mid-write never leaves a truncated file
+ */
+function writeJsonFileAtomic(filePath, data, space) {
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, space), { mode: 0o600 });
+  renameSync(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Seed toolsCache from disk for servers whose config still matches
+ */
+function loadToolsCache() {
+  const cachePath = getToolsCachePath();
+  if (!cachePath || !existsSync(cachePath)) {
+    return;
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(cachePath, 'utf-8'));
+    persistedTools = data.entries || {};
+    persistedCatalogs = data.catalogs || {};
+  } catch (error) {
+    log(`Tools cache load failed, starting empty: ${error.message}`);
+    return;
+  }
+
+  const loaded = [];
+  for (const serverName of enabledServers) {
+    const configHash = getServerConfigHash(serverName);
+    const entry = persistedTools[configHash];
+    if (entry && !toolsCache.has(serverName)) {
+      toolsCache.set(serverName, { tools: entry.tools, cachedAt: entry.cachedAt, configHash });
+      loaded.push(serverName);
+    }
+    for (const [kind, catalog] of Object.entries(persistedCatalogs[configHash]?.catalogs || {})) {
+      const key = `${serverName}:${kind}`;
+      if (CATALOGS[kind] && !catalogCache.has(key)) {
+        catalogCache.set(key, { serverName, kind, items: catalog.items, cachedAt: catalog.cachedAt, configHash });
+      }
+    }
+  }
+  if (loaded.length > 0) {
+    log(`Loaded cached tools for ${loaded.join(', ')} from ${cachePath}`);
+  }
+}
+
+function scheduleToolsCacheSave() {
+  if (toolsCacheSaveTimer || !getToolsCachePath()) {
+    return;
+  }
+  toolsCacheSaveTimer = setTimeout(saveToolsCache, CONFIG.toolsCacheSaveDebounceMs);
+  toolsCacheSaveTimer.unref();
+}
+
+/**
+ * Merge the in-memory lists into the cache file, dropping entries too old to serve
+ */
+function saveToolsCache() {
+  clearTimeout(toolsCacheSaveTimer);
+  toolsCacheSaveTimer = null;
+
+  const cachePath = getToolsCachePath();
+  if (!cachePath) {
+    return;
+  }
+
+  for (const [serverName, cached] of toolsCache) {
+    persistedTools[cached.configHash] = { server: serverName, tools: cached.tools, cachedAt: cached.cachedAt };
+  }
+  for (const cached of catalogCache.values()) {
+    const entry = persistedCatalogs[cached.configHash] ??= { server: cached.serverName, catalogs: {} };
+    entry.catalogs[cached.kind] = { items: cached.items, cachedAt: cached.cachedAt };
+  }
+
+  const oldestKept = Date.now() - CONFIG.toolsCacheMaxStaleMs;
+  persistedTools = Object.fromEntries(
+    Object.entries(persistedTools).filter(([, entry]) => entry.cachedAt > oldestKept)
+  );
+  for (const entry of Object.values(persistedCatalogs)) {
+    entry.catalogs = Object.fromEntries(
+      Object.entries(entry.catalogs).filter(([, catalog]) => catalog.cachedAt > oldestKept)
+    );
+  }
+  persistedCatalogs = Object.fromEntries(
+    Object.entries(persistedCatalogs).filter(([, entry]) => Object.keys(entry.catalogs).length > 0)
+  );
+
+  try {
+    writeJsonFileAtomic(cachePath, { version: 1, entries: persistedTools, catalogs: persistedCatalogs });
+  } catch (error) {
+    log(`Tools cache save failed: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+const callHistory = []; // newest last, capped at CONFIG.audit.historySize
+
+/**
+ * JSON with object keys sorted, so equal arguments always serialize identically
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function hashArguments(args) {
+  return createHash('sha256').update(canonicalJson(args ?? {})).digest('hex');
+}
+
+/**
+ * Copy of arguments with sensitive-looking keys and known secrets masked
+ */
+function redactArguments(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactArguments);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY_PATTERN.test(key) ? '***' : redactArguments(item)
+    ]));
+  }
+  return typeof value === 'string' ? redact(value) : value;
+}
+
+function getAuditSettings() {
+  return { ...CONFIG.audit, ...bridgeConfig.audit };
+}
+
+/**
+ * Record a finished executeToolCall in memory and, if configured, the audit file
+ */
+function recordCall({ serverName, toolName, args, startedAt, attempts, queuedMs, result, error }) {
+  const settings = getAuditSettings();
+  const status = error ? 'error' : result?.isError ? 'tool_error' : 'ok';
+
+  const entry = {
+    timestamp: new Date(startedAt).toISOString(),
+    server: serverName,
+    tool: toolName,
+    status,
+    is_error: status !== 'ok',
+    attempts,
+    duration_ms: Date.now() - startedAt,
+    queued_ms: queuedMs,
+    result_chars: result ? JSON.stringify(result).length : 0,
+    args_hash: hashArguments(args)
+  };
+  if (settings.arguments === 'redacted') {
+    entry.arguments = redactArguments(args);
+  } else if (settings.arguments === 'full') {
+    entry.arguments = args;
+  }
+  if (error) {
+    entry.error_kind = error.kind;
+    entry.error = redact(error.message);
+  }
+
+  callHistory.push(entry);
+  if (callHistory.length > settings.historySize) {
+    callHistory.splice(0, callHistory.length - settings.historySize);
+  }
+
+  if (settings.path) {
+    writeAuditEntry(entry, settings);
+  }
+  recordCallMetrics(entry);
+}
+
+/**
+ * Append one JSON line, rotating first when the file is too big or from an
+ * earlier day. Audit failures are logged, never propagated to the call.
+ */
+function writeAuditEntry(entry, settings) {
+  const auditPath = resolve(dirname(CONFIG_PATH), settings.path);
+  const line = JSON.stringify(entry) + '\n';
+
+  try {
+    mkdirSync(dirname(auditPath), { recursive: true });
+    if (existsSync(auditPath)) {
+      rotateAuditFile(auditPath, Buffer.byteLength(line), settings);
+    }
+    appendFileSync(auditPath, line);
+  } catch (error) {
+    log(`Audit log write failed: ${error.message}`);
+  }
+}
+
+function rotateAuditFile(auditPath, incomingBytes, settings) {
+  const { size, mtime } = statSync(auditPath);
+
+  if (settings.rotate === 'daily') {
+    const fileDay = mtime.toISOString().slice(0, 10);
+    if (fileDay !== new Date().toISOString().slice(0, 10)) {
+      renameSync(auditPath, `${auditPath}.${fileDay}`);
+      pruneDailyAuditFiles(auditPath, settings.maxFiles);
+    }
+    return;
+  }
+
+  if (size + incomingBytes <= settings.maxSizeBytes) {
+    return;
+  }
+
+  // audit.log -> audit.log.1 -> audit.log.2 ... dropping the oldest
+  const oldest = `${auditPath}.${settings.maxFiles}`;
+  if (existsSync(oldest)) {
+    unlinkSync(oldest);
+  }
+  for (let i = settings.maxFiles - 1; i >= 1; i--) {
+    if (existsSync(`${auditPath}.${i}`)) {
+      renameSync(`${auditPath}.${i}`, `${auditPath}.${i + 1}`);
+    }
+  }
+  renameSync(auditPath, `${auditPath}.1`);
+}
+
+/**
+ * Keep only the newest `maxFiles` audit.log.YYYY-MM-DD files
+ */
+function pruneDailyAuditFiles(auditPath, maxFiles) {
+  const prefix = `${basename(auditPath)}.`;
+  const dated = readdirSync(dirname(auditPath))
+    .filter(name => name.startsWith(prefix) && /^\d{4}-\d{2}-\d{2}$/.test(name.slice(prefix.length)))
+    .sort();
+  for (const name of dated.slice(0, Math.max(0, dated.length - maxFiles))) {
+    unlinkSync(join(dirname(auditPath), name));
+  }
+}
+
+/**
+ * Recent calls, newest first, optionally filtered
+ */
+function queryCallHistory({ server, tool, status, limit }) {
+  const matches = [];
+  for (let i = callHistory.length - 1; i >= 0 && matches.length < limit; i--) {
+    const entry = callHistory[i];
+    if (server && entry.server !== server) continue;
+    if (tool && entry.tool !== tool) continue;
+    if (status && entry.status !== status) continue;
+    matches.push(entry);
+  }
+  return matches;
+}
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+// name -> { type, help }; series are kept per label set
+const METRIC_DEFINITIONS = {
+  mcpbridge_tool_calls_total: { type: 'counter', help: 'Tool calls proxied to backends' },
+  mcpbridge_tool_errors_total: { type: 'counter', help: 'Tool calls that failed or returned isError, by error kind' },
+  mcpbridge_tool_retries_total: { type: 'counter', help: 'Tool call attempts beyond the first' },
+  mcpbridge_tool_call_duration_seconds: { type: 'histogram', help: 'Tool call latency, including queueing and retries' },
+  mcpbridge_result_cache_requests_total: { type: 'counter', help: 'Result cache lookups by outcome (hit or miss)' },
+  mcpbridge_connection_attempts_total: { type: 'counter', help: 'Backend connection attempts by outcome' },
+  mcpbridge_connected: { type: 'gauge', help: 'Whether the bridge holds a live connection to the server' },
+  mcpbridge_queue_waiting: { type: 'gauge', help: 'Calls waiting in the server queue' },
+  mcpbridge_circuit_open: { type: 'gauge', help: 'Whether the server circuit breaker is open' },
+  mcpbridge_uptime_seconds: { type: 'gauge', help: 'Seconds since the bridge started' }
+};
+const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const metricSeries = new Map(); // `${name}{labels}` -> { name, labels, value } or histogram fields
+let metricsServer = null;
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function getSeries(name, labels, create) {
+  const key = name + formatLabels(labels);
+  if (!metricSeries.has(key)) {
+    metricSeries.set(key, { name, labels, ...create() });
+  }
+  return metricSeries.get(key);
+}
+
+function incrementCounter(name, labels, amount = 1) {
+  getSeries(name, labels, () => ({ value: 0 })).value += amount;
+}
+
+function observeHistogram(name, labels, value) {
+  const series = getSeries(name, labels, () => ({ buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+  LATENCY_BUCKETS.forEach((bound, i) => {
+    if (value <= bound) series.buckets[i]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+/**
+ * Update call metrics from a finished call's history entry
+ */
+function recordCallMetrics(entry) {
+  const labels = { server: entry.server, tool: entry.tool };
+  incrementCounter('mcpbridge_tool_calls_total', labels);
+  if (entry.is_error) {
+    incrementCounter('mcpbridge_tool_errors_total', { ...labels, kind: entry.error_kind || ERROR_KINDS.TOOL });
+  }
+  if (entry.attempts > 1) {
+    incrementCounter('mcpbridge_tool_retries_total', labels, entry.attempts - 1);
+  }
+  observeHistogram('mcpbridge_tool_call_duration_seconds', labels, entry.duration_ms / 1000);
+}
+
+/**
+ * Current values of the gauges, computed at scrape time
+ */
+function collectGauges() {
+  const gauges = [];
+  for (const serverName of enabledServers) {
+    gauges.push({ name: 'mcpbridge_connected', labels: { server: serverName }, value: connections.get(serverName)?.connected ? 1 : 0 });
+    gauges.push({ name: 'mcpbridge_circuit_open', labels: { server: serverName }, value: circuits.get(serverName)?.state === CIRCUIT_STATES.OPEN ? 1 : 0 });
+  }
+  for (const [serverName, queue] of callQueues) {
+    gauges.push({ name: 'mcpbridge_queue_waiting', labels: { server: serverName }, value: queue.waiting.length });
+  }
+  gauges.push({ name: 'mcpbridge_uptime_seconds', labels: {}, value: Math.round(process.uptime()) });
+  return gauges;
+}
+
+/**
+ * All metrics in the Prometheus text exposition format
+ */
+function renderMetrics() {
+  const byName = new Map();
+  for (const series of [...metricSeries.values(), ...collectGauges()]) {
+    if (!byName.has(series.name)) byName.set(series.name, []);
+    byName.get(series.name).push(series);
+  }
+
+  const lines = [];
+  for (const [name, { type, help }] of Object.entries(METRIC_DEFINITIONS)) {
+    const seriesList = byName.get(name);
+    if (!seriesList) continue;
+
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const series of seriesList) {
+      if (type !== 'histogram') {
+        lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      LATENCY_BUCKETS.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Per server.tool totals for get_bridge_stats
+ */
+function getToolMetricsSummary() {
+  const summary = {};
+  const entryFor = ({ server, tool }) => {
+    const key = `${server}.${tool}`;
+    summary[key] ??= { calls: 0, errors: 0, retries: 0, cache_hits: 0, cache_misses: 0, avg_ms: 0 };
+    return summary[key];
+  };
+
+  for (const series of metricSeries.values()) {
+    switch (series.name) {
+      case 'mcpbridge_tool_calls_total': entryFor(series.labels).calls += series.value; break;
+      case 'mcpbridge_tool_errors_total': entryFor(series.labels).errors += series.value; break;
+      case 'mcpbridge_tool_retries_total': entryFor(series.labels).retries += series.value; break;
+      case 'mcpbridge_result_cache_requests_total':
+        entryFor(series.labels)[series.labels.outcome === 'hit' ? 'cache_hits' : 'cache_misses'] += series.value;
+        break;
+      case 'mcpbridge_tool_call_duration_seconds':
+        entryFor(series.labels).avg_ms = series.count > 0 ? Math.round(series.sum / series.count * 1000) : 0;
+        break;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Per-server connection attempt totals for get_bridge_stats
+ */
+function getConnectionMetricsSummary() {
+  const summary = {};
+  for (const series of metricSeries.values()) {
+    if (series.name !== 'mcpbridge_connection_attempts_total') continue;
+    summary[series.labels.server] ??= { success: 0, failure: 0 };
+    summary[series.labels.server][series.labels.outcome] += series.value;
+  }
+  return summary;
+}
+
+/**
+ * Serve /metrics on a local port when config `metrics.port` is set
+ */
+function startMetricsServer() {
+  const settings = { ...CONFIG.metrics, ...bridgeConfig.metrics };
+  if (!settings.port) {
+    return;
+  }
+
+  metricsServer = createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== settings.path) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics());
+  });
+  metricsServer.on('error', (error) => {
+    log(`Metrics endpoint failed: ${error.message}`);
+  });
+  metricsServer.listen(settings.port, settings.host, () => {
+    log(`Metrics at http://${settings.host}:${settings.port}${settings.path}`);
+  });
+  metricsServer.unref();
+}
+
+// ============================================================================
+// TRACING
+// ============================================================================
+
+let otel = null; // @opentelemetry/api, loaded when config `tracing.enabled` is set
+
+/**
+ * Load the OpenTelemetry API. Spans are exported by whatever SDK the process
+ * registers (e.g. node --import @opentelemetry/auto-instrumentations-node/register).
+ */
+async function initTracing() {
+  if (bridgeConfig.tracing?.enabled !== true) {
+    return;
+  }
+  try {
+    otel = await import('@opentelemetry/api');
+    log('OpenTelemetry tracing enabled');
+  } catch {
+    log('tracing.enabled is set but @opentelemetry/api is not installed; tracing disabled');
+  }
+}
+
+/**
+ * Run fn with the W3C trace context (traceparent/tracestate) from an
+ * upstream request's `_meta` as the active context
+ */
+function withTraceContext(meta, fn) {
+  if (!otel || !meta) {
+    return fn();
+  }
+  const { context, propagation } = otel;
+  return context.with(propagation.extract(context.active(), meta), fn);
+}
+
+/**
+ * Run fn inside a span (or plainly when tracing is off). fn receives the span.
+ */
+async function withSpan(name, attributes, fn) {
+  if (!otel) {
+    return fn(null);
+  }
+
+  const { trace, SpanStatusCode } = otel;
+  const tracer = trace.getTracer('mcpbridge', '2.3.0');
+
+  return tracer.startActiveSpan(name, { attributes }, async (span) => {
+    try {
+      const result = await fn(span);
+      if (result?.isError) {
+        span.setStatus({ code: SpanStatusCode.ERROR, message: 'tool returned isError' });
+      }
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * W3C trace context (traceparent/tracestate) of the active span, for a backend request's `_meta`
+ */
+function getTraceMeta() {
+  if (!otel) {
+    return undefined;
+  }
+  const carrier = {};
+  otel.propagation.inject(otel.context.active(), carrier);
+  return Object.keys(carrier).length > 0 ? carrier : undefined;
+}
+
+// ============================================================================
+// TOOL SEARCH
+// ============================================================================
+
+// Field weights: a query term in the tool name matters more than in prose
+const SEARCH_FIELD_WEIGHTS = { name: 3, params: 1.5, description: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Split text into lowercase terms, breaking snake_case, kebab-case and
+ * camelCase, with light suffix stemming so "files" matches "file"
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1)
+    .map(stem);
+}
+
+function stem(term) {
+  if (term.length > 5 && term.endsWith('ing')) return term.slice(0, -3);
+  if (term.length > 4 && term.endsWith('ies')) return term.slice(0, -3) + 'y';
+  if (term.length > 4 && term.endsWith('ed')) return term.slice(0, -2);
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+  return term;
+}
+
+/**
+ * One-line summary of a tool description
+ */
+function summarize(description) {
+  if (!description) return '';
+  const firstLine = description.trim().split(/\n|(?<=\.)\s/)[0];
+  const max = CONFIG.search.summaryMaxChars;
+  return firstLine.length > max ? firstLine.slice(0, max - 3) + '...' : firstLine;
+}
+
+/**
+ * Rank tools across servers against a query using BM25 over weighted
+ * name / description / inputSchema property-name terms
+ */
+function searchToolIndex(entries, query, limit) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  const docs = entries.map(({ server, tool }) => {
+    const termFreq = new Map();
+    const addField = (text, weight) => {
+      for (const term of tokenize(text)) {
+        termFreq.set(term, (termFreq.get(term) || 0) + weight);
+      }
+    };
+    addField(tool.name, SEARCH_FIELD_WEIGHTS.name);
+    addField(tool.description, SEARCH_FIELD_WEIGHTS.description);
+    addField(Object.keys(tool.inputSchema?.properties || {}).join(' '), SEARCH_FIELD_WEIGHTS.params);
+
+    const length = [...termFreq.values()].reduce((sum, n) => sum + n, 0);
+    return { server, tool, termFreq, length };
+  });
+
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  const docFreq = new Map(queryTerms.map(term => [
+    term,
+    docs.filter(d => d.termFreq.has(term)).length
+  ]));
+
+  return docs
+    .map(doc => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = doc.termFreq.get(term);
+        if (!tf) continue;
+        const df = docFreq.get(term);
+        const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (avgLength || 1));
+        score += idf * (tf * (BM25_K1 + 1)) / norm;
+      }
+      return { doc, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ doc, score }) => ({
+      tool: `${doc.server}.${doc.tool.name}`,
+      score: Math.round(score * 100) / 100,
+      summary: summarize(doc.tool.description)
+    }));
+}
+
+/**
+ * Search tools on the given servers, fetching (and caching) tool lists
+ * for servers not yet connected. Unreachable servers are reported, not fatal.
+ */
+async function searchTools(query, serverNames, limit) {
+  const settled = await Promise.allSettled(serverNames.map(getServerTools));
+
+  const entries = [];
+  const errors = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') {
+      for (const tool of outcome.value) {
+        entries.push({ server: serverNames[i], tool });
+      }
+    } else {
+      errors.push({ server: serverNames[i], error: outcome.reason.message });
+    }
+  });
+
+  return {
+    results: searchToolIndex(entries, query, limit),
+    searched: serverNames.length - errors.length,
+    errors
+  };
+}
+
+// ============================================================================
+// ARGUMENT VALIDATION
+// ============================================================================
+
+// Backend schemas come from arbitrary servers: tolerate unknown keywords and formats
+const ajvOptions = { allErrors: true, strict: false, validateFormats: false };
+const ajv = new Ajv(ajvOptions);
+const ajvCoercing = new Ajv({ ...ajvOptions, coerceTypes: true });
+
+// inputSchema object -> compiled validator (entries die with the cached tool list)
+const validatorCache = new WeakMap();
+const coercingValidatorCache = new WeakMap();
+
+/**
+ * Compile (once per cached schema) a validator for a tool's inputSchema.
+ * Returns null if the schema cannot be compiled, in which case the call
+ * is dispatched unvalidated and the backend has the final say.
+ */
+function getArgsValidator(serverName, tool, coerce) {
+  const cache = coerce ? coercingValidatorCache : validatorCache;
+  if (cache.has(tool.inputSchema)) {
+    return cache.get(tool.inputSchema);
+  }
+
+  let validate = null;
+  try {
+    // Draft declarations vary between backends; validate against the structure only
+    const { $schema, ...schema } = tool.inputSchema;
+    validate = (coerce ? ajvCoercing : ajv).compile(schema);
+  } catch (error) {
+    log(`Cannot compile schema for ${serverName}.${tool.name}, skipping validation: ${error.message}`);
+  }
+
+  cache.set(tool.inputSchema, validate);
+  return validate;
+}
+
+/**
+ * Resolve the schema fragment an Ajv error refers to, e.g.
+ * "#/properties/count/type" -> the schema of "count"
+ */
+function getSchemaFragment(schema, error) {
+  if (error.keyword === 'required') {
+    return schema.properties?.[error.params.missingProperty] ?? null;
+  }
+  if (error.keyword === 'additionalProperties') {
+    return { allowed: Object.keys(schema.properties || {}) };
+  }
+
+  const segments = error.schemaPath.replace(/^#\/?/, '').split('/').filter(Boolean);
+  let fragment = schema;
+  for (const segment of segments.slice(0, -1)) {
+    fragment = fragment?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  return fragment ?? null;
+}
+
+/**
+ * Validate call arguments against the backend tool's cached inputSchema.
+ * Returns { valid, args, errors } where args may have been coerced
+ * (string "5" -> 5) when the server sets `coerceArgs`.
+ */
+async function validateToolArgs(serverName, toolName, args) {
+  const serverConfig = SERVERS[serverName];
+  if (serverConfig?.validateArgs === false) {
+    return { valid: true, args };
+  }
+
+  // Transient connection problems are left to executeToolCall's retry logic
+  let tools;
+  try {
+    tools = await getServerTools(serverName);
+  } catch (error) {
+    if (error.kind === ERROR_KINDS.CIRCUIT_OPEN || error.kind === ERROR_KINDS.CONFIG) {
+      throw error;
+    }
+    return { valid: true, args };
+  }
+
+  const tool = tools.find(t => t.name === toolName);
+  if (!tool?.inputSchema) {
+    return { valid: true, args };
+  }
+
+  const coerce = serverConfig.coerceArgs === true;
+  const validate = getArgsValidator(serverName, tool, coerce);
+  if (!validate) {
+    return { valid: true, args };
+  }
+
+  // Coercion mutates its input; never touch the caller's object
+  const candidate = coerce ? structuredClone(args) : args;
+  if (validate(candidate)) {
+    return { valid: true, args: candidate };
+  }
+
+  const errors = validate.errors.map(error => ({
+    path: error.keyword === 'required'
+      ? `${error.instancePath}/${error.params.missingProperty}`
+      : (error.instancePath || '/'),
+    message: error.keyword === 'additionalProperties'
+      ? `unknown property "${error.params.additionalProperty}"`
+      : error.message,
+    schema: getSchemaFragment(tool.inputSchema, error)
+  }));
+
+  return { valid: false, args, errors };
+}
+
+// ============================================================================
+// BRIDGE TOOLS DEFINITION
+// ============================================================================
+
+/**
+ * Build the bridge tool list. Server enums reflect the current config,
+ * so this is rebuilt on every tools/list after a hot-reload.
+ */
+function getBridgeTools() {
+  return [
+    {
+      name: 'list_servers',
+      description: 'List all MCP servers available via call_mcp_tool. Use this first to discover backends.',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+        required: []
+      }
+    },
+    {
+      name: 'list_mcp_tools',
+      description: 'List tool NAMES only from an MCP server (lightweight). Use get_tool_schema() for full schema of a specific tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          server: {
+            type: 'string',
+            description: `MCP server to list tools from. Available: ${enabledServers.join(', ')}`,
+            enum: enabledServers.length > 0 ? enabledServers : ['none']
+          },
+          verbose: {
+            type: 'boolean',
+            description: 'Include descriptions (default: false for minimal context)'
+          },
+          refresh: {
+            type: 'boolean',
+            description: 'Bypass cache and fetch fresh tools list (default: false)'
+          }
+        },
+        required: ['server']
+      }
+    },
+    {
+      name: 'search_tools',
+      description: 'Search tool names, descriptions and parameters across ALL servers at once. Returns ranked "server.tool" matches with one-line summaries.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Keywords describing what you want to do (e.g. "send sms", "list tables")'
+          },
+          server: {
+            type: 'string',
+            description: 'Restrict the search to one server (default: all enabled servers)',
+            enum: enabledServers.length > 0 ? enabledServers : ['none']
+          },
+          limit: {
+            type: 'number',
+            description: `Maximum results (default: ${CONFIG.search.defaultLimit}, max: ${CONFIG.search.maxLimit})`
+          }
+        },
+        required: ['query']
+      }
+    },
+    {
+      name: 'get_tool_schema',
+      description: 'Get the full schema for a SPECIFIC tool. Use this before calling unfamiliar tools to see required parameters.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          server: {
+            type: 'string',
+            description: 'MCP server name',
+            enum: enabledServers.length > 0 ? enabledServers : ['none']
+          },
+          tool: {
+            type: 'string',
+            description: 'Tool name to get schema for'
+          }
+        },
+        required: ['server', 'tool']
+      }
+    },
+    {
+      name: 'call_mcp_tool',
+      description: `Call any tool from any MCP server. Results longer than the configured limit (${CONFIG.results.maxResultChars} characters by default) are truncated with a result_id; read the rest with get_result_page. Available servers: ${enabledServers.join(', ')}`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          server: {
+            type: 'string',
+            description: 'MCP server to call',
+            enum: enabledServers.length > 0 ? enabledServers : ['none']
+          },
+          tool: {
+            type: 'string',
+            description: 'Tool name to call'
+          },
+          arguments: {
+            type: 'object',
+            description: 'Arguments to pass to the tool',
+            additionalProperties: true
+          },
+          timeout_ms: {
+            type: 'number',
+            description: `Per-attempt timeout in ms (default: server/tool callTimeoutMs or ${CONFIG.callTimeoutMs})`
+          },
+          select: {
+            type: 'string',
+            description: 'JSONPath to project JSON results, e.g. "$.items[*].name" or "$.rows[?(@.status == \'active\')].id". Returns an array of matches.'
+          },
+          no_cache: {
+            type: 'boolean',
+            description: 'Bypass the result cache and fetch a fresh result (default: false)'
+          }
+        },
+        required: ['server', 'tool']
+      }
+    },
+    {
+      name: 'call_mcp_tools_batch',
+      description: 'Run several call_mcp_tool calls in one request. "parallel" (default) runs them concurrently with per-call errors; "pipeline" runs them in order and lets arguments reference earlier results as "$steps[0]" or "$steps[0].items[0].id".',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          calls: {
+            type: 'array',
+            description: `Calls to make (max ${CONFIG.batch.maxCalls})`,
+            items: {
+              type: 'object',
+              properties: {
+                server: { type: 'string', description: 'MCP server to call' },
+                tool: { type: 'string', description: 'Tool name to call' },
+                arguments: { type: 'object', description: 'Arguments to pass to the tool', additionalProperties: true },
+                select: { type: 'string', description: 'Optional JSONPath projection of the result' },
+                timeout_ms: { type: 'number', description: 'Optional per-attempt timeout in ms' },
+                no_cache: { type: 'boolean', description: 'Bypass the result cache' }
+              },
+              required: ['server', 'tool']
+            }
+          },
+          mode: {
+            type: 'string',
+            description: 'parallel (default) or pipeline',
+            enum: ['parallel', 'pipeline']
+          },
+          concurrency: {
+            type: 'number',
+            description: `Parallel mode: max calls in flight (default: ${CONFIG.batch.defaultConcurrency}, max: ${CONFIG.batch.maxConcurrency})`
+          }
+        },
+        required: ['calls']
+      }
+    },
+    {
+      name: 'confirm_tool_call',
+      description: 'Run a call_mcp_tool call that returned pending_confirmation. Only use AFTER the user explicitly approved the exact call.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          token: {
+            type: 'string',
+            description: 'Token from the pending_confirmation response'
+          }
+        },
+        required: ['token']
+      }
+    },
+    {
+      name: 'get_result_page',
+      description: 'Read more of a truncated call_mcp_tool result by its result_id. Only fetch what you need.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'result_id from the truncation notice'
+          },
+          offset: {
+            type: 'number',
+            description: 'Character offset to start from (default: 0)'
+          },
+          limit: {
+            type: 'number',
+            description: `Characters to return (default: ${CONFIG.results.pageSize}, max: ${CONFIG.results.maxPageSize})`
+          }
+        },
+        required: ['id']
+      }
+    },
+    {
+      name: 'get_call_history',
+      description: 'Query recent tool calls made through the bridge (newest first): status, attempts, duration, result size.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          server: {
+            type: 'string',
+            description: 'Only calls to this server'
+          },
+          tool: {
+            type: 'string',
+            description: 'Only calls to this tool'
+          },
+          status: {
+            type: 'string',
+            description: 'Only calls with this outcome',
+            enum: ['ok', 'tool_error', 'error']
+          },
+          limit: {
+            type: 'number',
+            description: 'Maximum entries (default: 20, max: 200)'
+          }
+        },
+        required: []
+      }
+    },
+    {
+      name: 'check_server_health',
+      description: 'Check health and connectivity of one or all MCP servers. Returns connection status, response time, and tool count.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          server: {
+            type: 'string',
+            description: 'Specific server to check (omit to check all servers)',
+            enum: enabledServers.length > 0 ? enabledServers : ['none']
+          }
+        },
+        required: []
+      }
+    },
+    {
+      name: 'get_bridge_stats',
+      description: 'Get bridge statistics: connected servers, cached tools, memory usage.',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+        required: []
+      }
+    }
+  ];
+}
+
+// ============================================================================
+// CONFIRMATIONS
+// ============================================================================
+
+const pendingCalls = new Map(); // token -> { serverName, toolName, args, callOptions, expiresAt }
+
+/**
+ * Ask the user to approve a call via MCP elicitation.
+ * Returns true/false for the user's answer, or null if the client
+ * cannot elicit (the caller then falls back to a confirmation token).
+ */
+async function requestApproval(bridgeServer, serverName, toolName, args) {
+  if (!CONFIG.confirmation.useElicitation || !bridgeServer.getClientCapabilities()?.elicitation) {
+    return null;
+  }
+
+  try {
+    const result = await bridgeServer.elicitInput({
+      message: `Allow ${serverName}.${toolName} with arguments:\n${JSON.stringify(args, null, 2)}`,
+      requestedSchema: {
+        type: 'object',
+        properties: {
+          approve: { type: 'boolean', title: 'Approve this tool call' }
+        },
+        required: ['approve']
+      }
+    });
+    return result.action === 'accept' && result.content?.approve === true;
+  } catch (error) {
+    log(`Elicitation failed, falling back to token: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Park a call awaiting confirm_tool_call. The token is single-use, expires,
+ * and is bound to the exact arguments captured here (and, over HTTP, the session).
+ */
+function createPendingCall(serverName, toolName, args, callOptions, sessionId) {
+  const now = Date.now();
+  for (const [token, pending] of pendingCalls) {
+    if (pending.expiresAt <= now) pendingCalls.delete(token);
+  }
+
+  const token = randomUUID();
+  const pending = {
+    token,
+    serverName,
+    toolName,
+    args: structuredClone(args),
+    callOptions,
+    sessionId,
+    expiresAt: now + CONFIG.confirmation.tokenTtlMs
+  };
+  pendingCalls.set(token, pending);
+  log(`${serverName}.${toolName} awaiting confirmation`);
+  return pending;
+}
+
+function consumePendingCall(token, sessionId) {
+  const pending = pendingCalls.get(token);
+  // Over HTTP a token is only valid in the session it was issued to
+  if (!pending || pending.sessionId !== sessionId) {
+    throw bridgeError('Unknown or already used confirmation token. Call call_mcp_tool again.', ERROR_KINDS.POLICY);
+  }
+  pendingCalls.delete(token);
+
+  if (pending.expiresAt <= Date.now()) {
+    throw bridgeError('Confirmation token expired. Call call_mcp_tool again.', ERROR_KINDS.POLICY);
+  }
+  return pending;
+}
+
+// ============================================================================
+// RESULT PROJECTION (JSONPath subset)
+// ============================================================================
+
+/**
+ * Supported syntax:
+ *   $                    root
+ *   .name  ['name']      child by name (bracket form allows any characters)
+ *   [0]  [-1]            array index (negative counts from the end)
+ *   [*]  .*              all children
+ *   [start:end:step]     array slice
+ *   ['a','b']  [0,2]     union of names or indices
+ *   ..name  ..*  ..[0]   recursive descent
+ *   [?(@.price < 10)]    filter with ==, !=, <, <=, >, >= against a literal,
+ *   [?(@.email)]         or existence of a field
+ */
+function compileJsonPath(expression) {
+  const segments = [];
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid select expression at position ${pos}: ${message} (in "${expression}")`);
+  };
+  const readName = () => {
+    const match = expression.slice(pos).match(/^[\w$-]+/);
+    if (!match) fail('expected a field name');
+    pos += match[0].length;
+    return match[0];
+  };
+
+  if (expression[pos] === '$') pos++;
+
+  while (pos < expression.length) {
+    let recursive = false;
+
+    if (expression.startsWith('..', pos)) {
+      recursive = true;
+      pos += 2;
+    } else if (expression[pos] === '.') {
+      pos++;
+    } else if (expression[pos] !== '[') {
+      fail(`unexpected "${expression[pos]}"`);
+    }
+
+    if (expression[pos] === '[') {
+      const close = findBracketEnd(expression, pos);
+      if (close === -1) fail('unclosed "["');
+      segments.push({ ...parseBracket(expression.slice(pos + 1, close).trim(), fail), recursive });
+      pos = close + 1;
+    } else if (expression[pos] === '*') {
+      segments.push({ type: 'wildcard', recursive });
+      pos++;
+    } else {
+      segments.push({ type: 'names', names: [readName()], recursive });
+    }
+  }
+
+  return { expression, segments };
+}
+
+/**
+ * Index of the "]" closing the "[" at `start`, skipping quoted strings and parentheses
+ */
+function findBracketEnd(expression, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < expression.length; i++) {
+    const ch = expression[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '[' || ch === '(') {
+      depth++;
+    } else if (ch === ']' || ch === ')') {
+      depth--;
+      if (depth === 0 && ch === ']') return i;
+    }
+  }
+  return -1;
+}
+
+function parseLiteral(text, fail) {
+  const trimmed = text.trim();
+  if (/^(['"]).*\1$/.test(trimmed)) return trimmed.slice(1, -1);
+  if (trimmed === 'true') return true;
+  if (trimmed === 'false') return false;
+  if (trimmed === 'null') return null;
+  if (trimmed !== '' && !Number.isNaN(Number(trimmed))) return Number(trimmed);
+  fail(`invalid literal ${trimmed}`);
+}
+
+function parseBracket(inner, fail) {
+  if (inner === '*') {
+    return { type: 'wildcard' };
+  }
+
+  const filter = inner.match(/^\?\(\s*@((?:\.[\w$-]+)*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+?))?\s*\)$/);
+  if (filter) {
+    return {
+      type: 'filter',
+      path: filter[1].split('.').filter(Boolean),
+      op: filter[2],
+      value: filter[2] ? parseLiteral(filter[3], fail) : undefined
+    };
+  }
+
+  const slice = inner.match(/^(-?\d*)\s*:\s*(-?\d*)(?:\s*:\s*(-?\d+))?$/);
+  if (slice) {
+    return {
+      type: 'slice',
+      start: slice[1] === '' ? undefined : Number(slice[1]),
+      end: slice[2] === '' ? undefined : Number(slice[2]),
+      step: slice[3] === undefined ? 1 : Number(slice[3])
+    };
+  }
+
+  const parts = inner.split(',').map(part => part.trim());
+  if (parts.every(part => /^-?\d+$/.test(part))) {
+    return { type: 'indices', indices: parts.map(Number) };
+  }
+  if (parts.every(part => /^(['"]).*\1$/.test(part))) {
+    return { type: 'names', names: parts.map(part => part.slice(1, -1)) };
+  }
+  fail(`unsupported selector [${inner}]`);
+}
+
+function childrenOf(node) {
+  if (Array.isArray(node)) return node;
+  if (node && typeof node === 'object') return Object.values(node);
+  return [];
+}
+
+/**
+ * The node itself and every nested value below it (for `..`)
+ */
+function descendantsOf(node) {
+  const all = [node];
+  for (let i = 0; i < all.length; i++) {
+    all.push(...childrenOf(all[i]));
+  }
+  return all;
+}
+
+function matchesFilter(item, { path, op, value }) {
+  let current = item;
+  for (const key of path) {
+    if (current === null || typeof current !== 'object' || !(key in current)) {
+      return false;
+    }
+    current = current[key];
+  }
+  switch (op) {
+    case undefined: return true;
+    case '==': return current === value;
+    case '!=': return current !== value;
+    case '<': return current < value;
+    case '<=': return current <= value;
+    case '>': return current > value;
+    case '>=': return current >= value;
+  }
+  return false;
+}
+
+function applySegment(node, segment) {
+  switch (segment.type) {
+    case 'wildcard':
+      return childrenOf(node);
+    case 'names':
+      return node && typeof node === 'object' && !Array.isArray(node)
+        ? segment.names.filter(name => name in node).map(name => node[name])
+        : [];
+    case 'indices':
+      return Array.isArray(node)
+        ? segment.indices
+          .map(index => node[index < 0 ? node.length + index : index])
+          .filter(item => item !== undefined)
+        : [];
+    case 'slice': {
+      if (!Array.isArray(node) || segment.step === 0) return [];
+      const { length } = node;
+      const clamp = (n, fallback) => n === undefined ? fallback : Math.min(Math.max(n < 0 ? length + n : n, 0), length);
+      const items = [];
+      if (segment.step > 0) {
+        for (let i = clamp(segment.start, 0); i < clamp(segment.end, length); i += segment.step) items.push(node[i]);
+      } else {
+        for (let i = clamp(segment.start, length) - 1; i >= clamp(segment.end, 0); i += segment.step) items.push(node[i]);
+      }
+      return items;
+    }
+    case 'filter':
+      return childrenOf(node).filter(item => matchesFilter(item, segment));
+  }
+  return [];
+}
+
+/**
+ * Evaluate a compiled path; always returns the list of matches
+ */
+function applyJsonPath(compiled, data) {
+  let nodes = [data];
+  for (const segment of compiled.segments) {
+    nodes = nodes.flatMap(node =>
+      (segment.recursive ? descendantsOf(node) : [node]).flatMap(item => applySegment(item, segment))
+    );
+  }
+  return nodes;
+}
+
+/**
+ * Replace JSON text content with the projection. Non-JSON text is left as-is;
+ * if nothing was JSON a notice says the select was not applied.
+ */
+function projectResultContent(content, selector) {
+  let projected = false;
+  const output = content.map(item => {
+    if (item.type !== 'text') return item;
+
+    let data;
+    try {
+      data = JSON.parse(item.text);
+    } catch {
+      return item;
+    }
+    projected = true;
+    return { type: 'text', text: JSON.stringify(applyJsonPath(selector, data), null, 2) };
+  });
+
+  if (!projected) {
+    output.push({
+      type: 'text',
+      text: JSON.stringify({ select_ignored: true, reason: 'result is not JSON', select: selector.expression })
+    });
+  }
+  return output;
+}
+
+// ============================================================================
+// RESULT STORE
+// ============================================================================
+
+const resultStore = new Map(); // resultId -> { text, server, tool, createdAt, expiresAt }
+
+/**
+ * Drop expired results, then the oldest ones beyond maxStoredResults
+ */
+function pruneResultStore() {
+  const now = Date.now();
+  for (const [id, stored] of resultStore) {
+    if (stored.expiresAt <= now) resultStore.delete(id);
+  }
+  // Map iterates in insertion order, so the first keys are the oldest
+  const overflow = resultStore.size - CONFIG.results.maxStoredResults;
+  for (const id of [...resultStore.keys()].slice(0, Math.max(0, overflow))) {
+    resultStore.delete(id);
+  }
+}
+
+function storeResult(serverName, toolName, text) {
+  const id = `${serverName}_${toolName}_${randomUUID().slice(0, 8)}`.replace(/[^\w-]/g, '_');
+  const now = Date.now();
+  resultStore.set(id, {
+    text,
+    server: serverName,
+    tool: toolName,
+    createdAt: now,
+    expiresAt: now + CONFIG.results.storeTtlMs
+  });
+  pruneResultStore();
+  return id;
+}
+
+/**
+ * Enforce the tool's maxResultChars on text content. Oversized text is cut
+ * to the limit, the full text is stored, and a notice with the result ID is
+ * appended so the agent can page through the rest with get_result_page.
+ */
+function limitResultSize(serverName, toolName, content) {
+  const maxChars = getToolOption(serverName, toolName, 'maxResultChars', CONFIG.results.maxResultChars);
+  const textItems = content.filter(item => item.type === 'text');
+  const totalChars = textItems.reduce((sum, item) => sum + item.text.length, 0);
+
+  if (!maxChars || totalChars <= maxChars) {
+    return content;
+  }
+
+  const fullText = textItems.map(item => item.text).join('\n');
+  const resultId = storeResult(serverName, toolName, fullText);
+  log(`${serverName}.${toolName} result truncated: ${fullText.length} chars stored as ${resultId}`);
+
+  return [
+    { type: 'text', text: fullText.slice(0, maxChars) },
+    ...content.filter(item => item.type !== 'text'),
+    {
+      type: 'text',
+      text: JSON.stringify({
+        truncated: true,
+        result_id: resultId,
+        total_chars: fullText.length,
+        returned_chars: maxChars,
+        expires_in_seconds: Math.round(CONFIG.results.storeTtlMs / 1000),
+        hint: `Use get_result_page({ id: "${resultId}", offset: ${maxChars} }) to read more`
+      }, null, 2)
+    }
+  ];
+}
+
+// ============================================================================
+// RESULT CACHE
+// ============================================================================
+
+// Map iteration order doubles as LRU order: hits are re-inserted at the end
+const resultCache = new Map(); // key -> { server, tool, configHash, result, cachedAt, expiresAt }
+const resultCacheStats = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+let resultCacheSaveTimer = null;
+
+function getResultCacheSettings() {
+  return { ...CONFIG.resultCache, ...bridgeConfig.resultCache };
+}
+
+function getResultCachePath() {
+  const cachePath = getResultCacheSettings().path;
+  return cachePath ? resolve(dirname(CONFIG_PATH), cachePath) : null;
+}
+
+/**
+ * How long to cache this tool's results, 0 if it isn't cacheable.
+ * Opt-in via `cacheTtlMs`; tools marked `idempotent: false` are never cached.
+ */
+function getCacheTtl(serverName, toolName) {
+  if (getToolOption(serverName, toolName, 'idempotent', true) === false) {
+    return 0;
+  }
+  const ttl = getToolOption(serverName, toolName, 'cacheTtlMs', 0);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : 0;
+}
+
+// Includes the config hash, so a changed server (e.g. new env) never hits
+// results cached by a previous run under the old config
+function resultCacheKey(serverName, toolName, args) {
+  return `${serverName}\0${getServerConfigHash(serverName)}\0${toolName}\0${hashArguments(args)}`;
+}
+
+function getCachedResult(key) {
+  const entry = resultCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    resultCache.delete(key);
+    resultCache.set(key, entry);
+    resultCacheStats.hits++;
+    return entry.result;
+  }
+  if (entry) {
+    resultCache.delete(key);
+  }
+  resultCacheStats.misses++;
+  return null;
+}
+
+function cacheResult(key, serverName, toolName, result, ttl) {
+  const settings = getResultCacheSettings();
+  if (JSON.stringify(result).length > settings.maxEntryChars) {
+    return;
+  }
+
+  const now = Date.now();
+  resultCache.delete(key);
+  resultCache.set(key, {
+    server: serverName,
+    tool: toolName,
+    configHash: getServerConfigHash(serverName),
+    result,
+    cachedAt: now,
+    expiresAt: now + ttl
+  });
+  resultCacheStats.stores++;
+
+  // Evict least recently used entries beyond the bound
+  for (const oldest of resultCache.keys()) {
+    if (resultCache.size <= settings.maxEntries) break;
+    resultCache.delete(oldest);
+    resultCacheStats.evictions++;
+  }
+  scheduleResultCacheSave();
+}
+
+/**
+ * Drop every cached result of a server (its config changed)
+ */
+function clearResultCache(serverName) {
+  let removed = 0;
+  for (const [key, entry] of resultCache) {
+    if (entry.server === serverName) {
+      resultCache.delete(key);
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    scheduleResultCacheSave();
+  }
+}
+
+function getResultCacheStatus() {
+  const lookups = resultCacheStats.hits + resultCacheStats.misses;
+  return {
+    entries: resultCache.size,
+    ...resultCacheStats,
+    hit_rate: lookups > 0 ? Math.round(resultCacheStats.hits / lookups * 1000) / 1000 : null,
+    persisted: getResultCachePath() !== null
+  };
+}
+
+/**
+ * Restore unexpired entries saved by a previous run for the same server config
+ */
+function loadResultCache() {
+  const cachePath = getResultCachePath();
+  if (!cachePath || !existsSync(cachePath)) {
+    return;
+  }
+
+  try {
+    const saved = JSON.parse(readFileSync(cachePath, 'utf-8'));
+    const now = Date.now();
+    for (const [key, entry] of saved.entries || []) {
+      if (entry.expiresAt > now && SERVERS[entry.server] && entry.configHash === getServerConfigHash(entry.server)) {
+        resultCache.set(key, entry);
+      }
+    }
+    log(`Loaded ${resultCache.size} cached results from ${cachePath}`);
+  } catch (error) {
+    log(`Result cache load failed, starting empty: ${error.message}`);
+  }
+}
+
+function scheduleResultCacheSave() {
+  if (resultCacheSaveTimer || !getResultCachePath()) {
+    return;
+  }
+  resultCacheSaveTimer = setTimeout(saveResultCache, getResultCacheSettings().saveDebounceMs);
+  resultCacheSaveTimer.unref();
+}
+
+/**
+ * Write unexpired entries to the cache file
+ */
+function saveResultCache() {
+  clearTimeout(resultCacheSaveTimer);
+  resultCacheSaveTimer = null;
+
+  const cachePath = getResultCachePath();
+  if (!cachePath) {
+    return;
+  }
+
+  const now = Date.now();
+  const entries = [...resultCache].filter(([, entry]) => entry.expiresAt > now);
+  try {
+    writeJsonFileAtomic(cachePath, { version: 1, entries });
+  } catch (error) {
+    log(`Result cache save failed: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// TOOL CALL DISPATCH
+// ============================================================================
+
+/**
+ * Run a backend tool call on behalf of a bridge request and shape the response.
+ * Serves cacheable tools from the result cache unless `noCache` is set.
+ * Forwards the request's cancellation signal and relays progress if requested.
+ */
+async function dispatchToolCall(serverName, toolName, toolArgs, { timeoutMs, selector, noCache, request, extra, startTime }) {
+  // Relay backend progress to the caller if it asked for progress
+  const progressToken = request.params._meta?.progressToken;
+  const onprogress = progressToken === undefined ? undefined : (progress) => {
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: { ...progress, progressToken }
+    }).catch(() => {});
+  };
+
+  const cacheTtl = getCacheTtl(serverName, toolName);
+  const cacheKey = cacheTtl > 0 ? resultCacheKey(serverName, toolName, toolArgs) : null;
+  let result = cacheKey && !noCache ? getCachedResult(cacheKey) : null;
+  if (cacheKey && !noCache) {
+    incrementCounter('mcpbridge_result_cache_requests_total', { server: serverName, tool: toolName, outcome: result ? 'hit' : 'miss' });
+  }
+
+  if (result) {
+    log(`${serverName}.${toolName} served from cache`);
+  } else {
+    result = await executeToolCall(serverName, toolName, toolArgs, {
+      signal: extra.signal,
+      timeoutMs,
+      onprogress
+    });
+    const elapsed = Date.now() - startTime;
+    log(`${serverName}.${toolName} completed in ${elapsed}ms`);
+
+    if (cacheKey && !result.isError) {
+      cacheResult(cacheKey, serverName, toolName, result, cacheTtl);
+    }
+  }
+
+  // Tool errors are returned as results, they are not retried
+  if (result.isError) {
+    log(`${serverName}.${toolName} returned a tool error`);
+  }
+  let content = result.content && result.content.length > 0
+    ? result.content
+    : [{ type: 'text', text: JSON.stringify(result, null, 2) }];
+
+  // Project before size limiting: the projection is usually what fits
+  if (selector && !result.isError) {
+    content = projectResultContent(content, selector);
+  }
+
+  return {
+    content: limitResultSize(serverName, toolName, content),
+    ...(result.isError ? { isError: true } : {})
+  };
+}
+
+/**
+ * Handle one call_mcp_tool request: policy, argument validation,
+ * confirmation, then dispatch. Shared by call_mcp_tool and batches.
+ */
+async function callBridgeTool(callArgs, { request, extra, bridgeServer, startTime }) {
+  const serverName = callArgs?.server;
+  const toolName = callArgs?.tool;
+  const toolArgs = callArgs?.arguments || {};
+
+  if (!serverName) {
+    throw new Error('server parameter required. Available: ' + enabledServers.join(', '));
+  }
+  if (!toolName) {
+    throw new Error('tool parameter required. Use list_mcp_tools("' + serverName + '") to see available tools.');
+  }
+
+  await assertToolAllowed(serverName, toolName);
+
+  const validation = await validateToolArgs(serverName, toolName, toolArgs);
+  if (!validation.valid) {
+    log(`${serverName}.${toolName} rejected: ${validation.errors.length} invalid argument(s)`);
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          error: `Invalid arguments for ${serverName}.${toolName}`,
+          validation_errors: validation.errors,
+          hint: `Use get_tool_schema("${serverName}", "${toolName}") for the full schema`
+        }, null, 2)
+      }],
+      isError: true
+    };
+  }
+
+  const timeoutMs = callArgs?.timeout_ms;
+  if (timeoutMs !== undefined && !(Number.isFinite(timeoutMs) && timeoutMs > 0)) {
+    throw new Error('timeout_ms must be a positive number');
+  }
+
+  // Compile before dispatch so a bad expression doesn't cost a backend call
+  const selector = callArgs?.select ? compileJsonPath(String(callArgs.select)) : undefined;
+  const callOptions = { timeoutMs, selector, noCache: callArgs?.no_cache === true };
+
+  if (getToolOption(serverName, toolName, 'requireConfirmation', false) === true) {
+    const approved = await requestApproval(bridgeServer, serverName, toolName, validation.args);
+    if (approved === null) {
+      // Client can't elicit: hand the agent a token to confirm after asking the user
+      const pending = createPendingCall(serverName, toolName, validation.args, callOptions, extra.sessionId);
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            status: 'pending_confirmation',
+            token: pending.token,
+            call: { server: serverName, tool: toolName, arguments: validation.args },
+            expires_in_seconds: Math.round(CONFIG.confirmation.tokenTtlMs / 1000),
+            hint: 'This tool requires approval. Show the user the exact call, and only after they approve run confirm_tool_call(token).'
+          }, null, 2)
+        }]
+      };
+    }
+    if (!approved) {
+      throw bridgeError(`Call to ${serverName}.${toolName} was declined by the user`, ERROR_KINDS.POLICY);
+    }
+  }
+
+  return await dispatchToolCall(serverName, toolName, validation.args, { ...callOptions, request, extra, startTime });
+}
+
 // ============================================================================
-// LOAD SERVER CONFIGURATION
+// BATCH AND PIPELINE CALLS
 // ============================================================================
 
-function loadConfig() {
-  const configPath = join(__dirname, 'mcpbridge.config.json');
-  
-  if (!existsSync(configPath)) {
-    console.error(`[mcpbridge] Config not found: ${configPath}`);
-    console.error('[mcpbridge] Copy mcpbridge.config.example.json to mcpbridge.config.json');
-    process.exit(1);
+const STEP_REFERENCE = /\$steps\[(\d+)\]((?:\.[\w$-]+|\[[^\]]*\])*)/g;
+
+/**
+ * Result content as data: parsed JSON when the text is JSON, else the text
+ */
+function contentToValue(content) {
+  const text = (content || [])
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n');
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
   }
-  
+}
+
+/**
+ * Replace $steps[n] / $steps[n].path references in pipeline arguments.
+ * A string that is exactly one reference takes the referenced value (any type);
+ * references inside a longer string are interpolated as text.
+ */
+function resolveStepReferences(value, stepValues) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveStepReferences(item, stepValues));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveStepReferences(item, stepValues)])
+    );
+  }
+  if (typeof value !== 'string' || !value.includes('$steps[')) {
+    return value;
+  }
+
+  const lookup = (index, path) => {
+    if (Number(index) >= stepValues.length) {
+      throw new Error(`$steps[${index}] is not available yet (only earlier steps can be referenced)`);
+    }
+    const data = stepValues[Number(index)];
+    if (!path) return data;
+    const matches = applyJsonPath(compileJsonPath(`$${path}`), data);
+    if (matches.length === 0) {
+      throw new Error(`$steps[${index}]${path} matched nothing`);
+    }
+    return matches.length === 1 ? matches[0] : matches;
+  };
+
+  const whole = value.match(new RegExp(`^${STEP_REFERENCE.source}$`));
+  if (whole) {
+    return lookup(whole[1], whole[2]);
+  }
+  return value.replace(STEP_REFERENCE, (_, index, path) => {
+    const resolved = lookup(index, path);
+    return typeof resolved === 'string' ? resolved : JSON.stringify(resolved);
+  });
+}
+
+/**
+ * Run one batch item through the normal call_mcp_tool path, never throwing
+ */
+async function runBatchItem(step, call, context) {
+  const itemStart = Date.now();
+  const base = { step, server: call?.server, tool: call?.tool };
+
   try {
-    const config = JSON.parse(readFileSync(configPath, 'utf-8'));
-    return config.servers || {};
+    const response = await callBridgeTool(call, { ...context, startTime: itemStart });
+    const value = contentToValue(response.content);
+    const duration_ms = Date.now() - itemStart;
+    if (response.isError) {
+      const details = value && typeof value === 'object' && value.error ? value : { error: value };
+      return { ...base, status: 'error', duration_ms, ...details };
+    }
+    const status = value?.status === 'pending_confirmation' ? 'pending_confirmation' : 'ok';
+    return { ...base, status, duration_ms, result: value };
   } catch (error) {
-    console.error(`[mcpbridge] Failed to parse config: ${error.message}`);
-    process.exit(1);
+    return {
+      ...base,
+      status: 'error',
+      duration_ms: Date.now() - itemStart,
+      error: redact(error.message),
+      ...(error.kind ? { error_kind: error.kind } : {})
+    };
   }
 }
 
-const SERVERS = loadConfig();
-const enabledServers = Object.entries(SERVERS)
-  .filter(([_, config]) => config.enabled !== false)
-  .map(([name]) => name);
+/**
+ * Independent calls with at most `concurrency` in flight; results keep input order
+ */
+async function runBatch(calls, concurrency, context) {
+  const results = new Array(calls.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < calls.length) {
+      const step = next++;
+      results[step] = await runBatchItem(step, calls[step], context);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, calls.length) }, worker));
+  return results;
+}
+
+/**
+ * Sequential calls where arguments may reference earlier results.
+ * Stops at the first step that does not succeed; later steps are skipped.
+ */
+async function runPipeline(calls, context) {
+  const results = [];
+  const stepValues = [];
+
+  for (let step = 0; step < calls.length; step++) {
+    let call;
+    try {
+      call = { ...calls[step], arguments: resolveStepReferences(calls[step]?.arguments || {}, stepValues) };
+    } catch (error) {
+      results.push({ step, server: calls[step]?.server, tool: calls[step]?.tool, status: 'error', error: error.message });
+      break;
+    }
+
+    const result = await runBatchItem(step, call, context);
+    results.push(result);
+    if (result.status !== 'ok') break;
+    stepValues.push(result.result);
+  }
 
-console.error(`[mcpbridge] Loaded ${enabledServers.length} servers: ${enabledServers.join(', ')}`);
+  for (let step = results.length; step < calls.length; step++) {
+    results.push({ step, server: calls[step]?.server, tool: calls[step]?.tool, status: 'skipped' });
+  }
+  return results;
+}
 
 // ============================================================================
-// CONNECTION MANAGEMENT
+// RESOURCES AND PROMPTS
 // ============================================================================
 
-const connections = new Map(); // serverName -> { client, transport, connected }
-const toolsCache = new Map(); // serverName -> { tools, cachedAt }
+// Backend resources appear as mcpbridge://<server>/<original uri>,
+// backend prompts as <server>__<original name>
+const RESOURCE_URI_PREFIX = 'mcpbridge://';
+const NAMESPACE_SEPARATOR = '__';
+
+// Keyed by config hash like toolsCache, and persisted alongside it
+const catalogCache = new Map(); // `${serverName}:${kind}` -> { serverName, kind, items, cachedAt, configHash }
+
+// How each catalog is listed from a backend, and which capability it needs
+const CATALOGS = {
+  resources: { capability: 'resources', field: 'resources', list: (client, params) => client.listResources(params) },
+  resourceTemplates: { capability: 'resources', field: 'resourceTemplates', list: (client, params) => client.listResourceTemplates(params) },
+  prompts: { capability: 'prompts', field: 'prompts', list: (client, params) => client.listPrompts(params) }
+};
+
+function toBridgeUri(serverName, uri) {
+  return `${RESOURCE_URI_PREFIX}${encodeURIComponent(serverName)}/${uri}`;
+}
+
+function parseBridgeUri(bridgeUri) {
+  const rest = bridgeUri.startsWith(RESOURCE_URI_PREFIX) ? bridgeUri.slice(RESOURCE_URI_PREFIX.length) : '';
+  const slash = rest.indexOf('/');
+  if (slash <= 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Not a bridge resource URI: ${bridgeUri} (expected ${RESOURCE_URI_PREFIX}<server>/<uri>)`);
+  }
+  return { serverName: decodeURIComponent(rest.slice(0, slash)), uri: rest.slice(slash + 1) };
+}
 
 /**
- * Sleep helper
+ * Split `<server>__<name>` (null if no listed server matches), preferring the
+ * longest server name since server names may contain the separator themselves
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function splitNamespacedName(namespaced, serverNames) {
+  const serverName = serverNames
+    .filter(candidate => namespaced.startsWith(candidate + NAMESPACE_SEPARATOR))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!serverName) {
+    return null;
+  }
+  return { serverName, name: namespaced.slice(serverName.length + NAMESPACE_SEPARATOR.length) };
+}
+
+function parseNamespacedName(namespaced) {
+  const parsed = splitNamespacedName(namespaced, enabledServers);
+  if (!parsed) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown name: ${namespaced} (expected <server>${NAMESPACE_SEPARATOR}<name>)`);
+  }
+  return parsed;
 }
 
 /**
- * Calculate retry delay with exponential backoff and jitter
+ * A cached catalog for the server's current config, or null. Never connects.
  */
-function getRetryDelay(attempt) {
-  const baseDelay = CONFIG.retry.baseDelayMs * Math.pow(CONFIG.retry.backoffMultiplier, attempt);
-  const jitter = Math.random() * 0.3 * baseDelay;
-  return Math.min(baseDelay + jitter, CONFIG.retry.maxDelayMs);
+function getCachedCatalog(serverName, kind) {
+  const cached = catalogCache.get(`${serverName}:${kind}`);
+  if (!cached || cached.configHash !== getServerConfigHash(serverName)) {
+    return null;
+  }
+  return (Date.now() - cached.cachedAt) < CONFIG.toolsCacheMaxStaleMs ? cached : null;
 }
 
 /**
- * Get or create connection to an MCP server
+ * One backend's full resource/template/prompt list (all pages, with caching).
+ * Backends that don't advertise the capability list nothing.
  */
-async function getConnection(serverName) {
-  // Check existing connection
-  const existing = connections.get(serverName);
-  if (existing?.connected) {
-    return existing.client;
-  }
-  
-  const serverConfig = SERVERS[serverName];
-  if (!serverConfig) {
-    throw new Error(`Unknown server: ${serverName}. Available: ${enabledServers.join(', ')}`);
-  }
-  
-  if (serverConfig.enabled === false) {
-    throw new Error(`Server ${serverName} is disabled`);
+async function fetchServerCatalog(serverName, kind) {
+  const key = `${serverName}:${kind}`;
+  const cached = getCachedCatalog(serverName, kind);
+  if (cached && (Date.now() - cached.cachedAt) < CONFIG.toolsCacheTtlMs) {
+    return cached.items;
   }
-  
-  // Build environment
-  const env = { ...process.env, ...serverConfig.env };
-  
-  // Create transport and client
-  const transport = new StdioClientTransport({
-    command: serverConfig.command,
-    args: serverConfig.args || [],
-    env,
-    cwd: serverConfig.cwd
-  });
-  
-  const client = new Client(
-    { name: `mcpbridge->${serverName}`, version: '2.3.0' },
-    { capabilities: {} }
-  );
-  
-  // Connect with timeout
-  const connectPromise = client.connect(transport);
-  const timeoutPromise = new Promise((_, reject) => 
-    setTimeout(() => reject(new Error('Connection timeout')), CONFIG.connectionTimeoutMs)
-  );
-  
-  try {
-    await Promise.race([connectPromise, timeoutPromise]);
-    connections.set(serverName, { client, transport, connected: true });
-    console.error(`[mcpbridge] Connected to ${serverName}`);
-    return client;
-  } catch (error) {
-    connections.set(serverName, { client, transport, connected: false });
-    throw new Error(`Failed to connect to ${serverName}: ${error.message}`);
+
+  const catalog = CATALOGS[kind];
+  const client = await getConnection(serverName);
+  const items = [];
+  if (client.getServerCapabilities()?.[catalog.capability]) {
+    let cursor;
+    do {
+      const page = await catalog.list(client, cursor ? { cursor } : undefined);
+      items.push(...(page[catalog.field] || []));
+      cursor = page.nextCursor;
+    } while (cursor);
   }
+
+  catalogCache.set(key, { serverName, kind, items, cachedAt: Date.now(), configHash: getServerConfigHash(serverName) });
+  scheduleToolsCacheSave();
+  return items;
 }
 
 /**
- * Get tools from a server (with caching)
+ * Tell clients to re-list when a server with resources or prompts connects
+ * for the first time, since until then it was left out of their lists
  */
-async function getServerTools(serverName) {
-  // Check cache
-  const cached = toolsCache.get(serverName);
-  if (cached && (Date.now() - cached.cachedAt) < CONFIG.toolsCacheTtlMs) {
-    return cached.tools;
+function announceServerCatalogs(serverName, client) {
+  const capabilities = client.getServerCapabilities() || {};
+  if (!capabilities.resources && !capabilities.prompts) {
+    return;
+  }
+  if (Object.keys(CATALOGS).some(kind => getCachedCatalog(serverName, kind))) {
+    return;
+  }
+  notifyCatalogListChanged().catch(error => log(`Catalog notification failed: ${error.message}`));
+}
+
+function clearCatalogCache(serverName) {
+  for (const kind of Object.keys(CATALOGS)) {
+    catalogCache.delete(`${serverName}:${kind}`);
   }
-  
-  // Fetch fresh
-  const client = await getConnection(serverName);
-  const result = await client.listTools();
-  const tools = result.tools || [];
-  
-  // Cache it
-  toolsCache.set(serverName, { tools, cachedAt: Date.now() });
-  console.error(`[mcpbridge] Cached ${tools.length} tools from ${serverName}`);
-  
-  return tools;
 }
 
 /**
- * Execute a tool call with retry logic
+ * A catalog across every enabled server. Clients list catalogs right after
+ * initialize, so this must not spawn every backend: only connected and eager
+ * servers are asked, the rest contribute their cached catalog (if any).
+ * Servers that fail are skipped.
  */
-async function executeToolCall(serverName, toolName, args) {
-  let lastError;
-  
-  for (let attempt = 0; attempt <= CONFIG.retry.maxRetries; attempt++) {
-    try {
-      const client = await getConnection(serverName);
-      const result = await client.callTool({ name: toolName, arguments: args });
-      return result;
-    } catch (error) {
-      lastError = error;
-      console.error(`[mcpbridge] ${serverName}.${toolName} attempt ${attempt + 1} failed: ${error.message}`);
-      
-      // Clear connection on error
-      const conn = connections.get(serverName);
-      if (conn) {
-        conn.connected = false;
-      }
-      
-      if (attempt < CONFIG.retry.maxRetries) {
-        const delay = getRetryDelay(attempt);
-        console.error(`[mcpbridge] Retrying in ${Math.round(delay)}ms...`);
-        await sleep(delay);
-      }
+async function listAggregatedCatalog(kind, namespaceItem) {
+  const serverNames = enabledServers;
+  const settled = await Promise.allSettled(serverNames.map(async serverName => {
+    if (connections.get(serverName)?.connected || SERVERS[serverName].eager === true) {
+      return fetchServerCatalog(serverName, kind);
     }
-  }
-  
-  throw new Error(`${serverName}.${toolName} failed after ${CONFIG.retry.maxRetries + 1} attempts: ${lastError.message}`);
+    return getCachedCatalog(serverName, kind)?.items || [];
+  }));
+
+  const items = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') {
+      items.push(...outcome.value.map(item => namespaceItem(serverNames[i], item)));
+    } else {
+      log(`Listing ${kind} from ${serverNames[i]} failed: ${outcome.reason.message}`);
+    }
+  });
+  return items;
 }
 
 // ============================================================================
-// BRIDGE TOOLS DEFINITION
+// DIRECT TOOL EXPOSURE
 // ============================================================================
 
-const TOOLS = [
-  {
-    name: 'list_servers',
-    description: 'List all MCP servers available via call_mcp_tool. Use this first to discover backends.',
-    inputSchema: {
-      type: 'object',
-      properties: {},
-      required: []
-    }
-  },
-  {
-    name: 'list_mcp_tools',
-    description: 'List tool NAMES only from an MCP server (lightweight). Use get_tool_schema() for full schema of a specific tool.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        server: {
-          type: 'string',
-          description: `MCP server to list tools from. Available: ${enabledServers.join(', ')}`,
-          enum: enabledServers.length > 0 ? enabledServers : ['none']
-        },
-        verbose: {
-          type: 'boolean',
-          description: 'Include descriptions (default: false for minimal context)'
-        },
-        refresh: {
-          type: 'boolean',
-          description: 'Bypass cache and fetch fresh tools list (default: false)'
-        }
-      },
-      required: ['server']
-    }
-  },
-  {
-    name: 'get_tool_schema',
-    description: 'Get the full schema for a SPECIFIC tool. Use this before calling unfamiliar tools to see required parameters.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        server: {
-          type: 'string',
-          description: 'MCP server name',
-          enum: enabledServers.length > 0 ? enabledServers : ['none']
-        },
-        tool: {
-          type: 'string',
-          description: 'Tool name to get schema for'
-        }
-      },
-      required: ['server', 'tool']
-    }
-  },
-  {
-    name: 'call_mcp_tool',
-    description: `Call any tool from any MCP server. Returns full results. Available servers: ${enabledServers.join(', ')}`,
-    inputSchema: {
-      type: 'object',
-      properties: {
-        server: {
-          type: 'string',
-          description: 'MCP server to call',
-          enum: enabledServers.length > 0 ? enabledServers : ['none']
-        },
-        tool: {
-          type: 'string',
-          description: 'Tool name to call'
-        },
-        arguments: {
-          type: 'object',
-          description: 'Arguments to pass to the tool',
-          additionalProperties: true
-        }
-      },
-      required: ['server', 'tool']
-    }
-  },
-  {
-    name: 'check_server_health',
-    description: 'Check health and connectivity of one or all MCP servers. Returns connection status, response time, and tool count.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        server: {
-          type: 'string',
-          description: 'Specific server to check (omit to check all servers)',
-          enum: enabledServers.length > 0 ? enabledServers : ['none']
-        }
-      },
-      required: []
+// What clients accept as a tool name
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Servers with `exposeTools`: true for every allowed tool, or a list of globs
+ */
+function getExposedServers() {
+  return enabledServers.filter(serverName => {
+    const expose = SERVERS[serverName].exposeTools;
+    return expose === true || (Array.isArray(expose) && expose.length > 0);
+  });
+}
+
+function isExposedTool(serverName, toolName) {
+  const expose = SERVERS[serverName]?.exposeTools;
+  return expose === true || (Array.isArray(expose) && matchesAnyGlob(toolName, expose));
+}
+
+/**
+ * Exposed backend tools as first-class tool definitions named `<server>__<tool>`.
+ * outputSchema is dropped: results pass through truncation, which can't
+ * guarantee structured content.
+ */
+async function getExposedTools() {
+  const serverNames = getExposedServers();
+  const settled = await Promise.allSettled(serverNames.map(getServerTools));
+
+  const tools = [];
+  settled.forEach((outcome, i) => {
+    const serverName = serverNames[i];
+    if (outcome.status === 'rejected') {
+      log(`Could not list ${serverName} tools for direct exposure: ${outcome.reason.message}`);
+      return;
     }
-  },
-  {
-    name: 'get_bridge_stats',
-    description: 'Get bridge statistics: connected servers, cached tools, memory usage.',
-    inputSchema: {
-      type: 'object',
-      properties: {},
-      required: []
+    for (const tool of outcome.value) {
+      if (!isExposedTool(serverName, tool.name)) continue;
+
+      const name = `${serverName}${NAMESPACE_SEPARATOR}${tool.name}`;
+      if (!TOOL_NAME_PATTERN.test(name)) {
+        log(`Not exposing ${name}: not a valid tool name`);
+        continue;
+      }
+      tools.push({
+        name,
+        ...(tool.title ? { title: tool.title } : {}),
+        description: `[${serverName}] ${tool.description || ''}`.trim(),
+        inputSchema: tool.inputSchema,
+        ...(tool.annotations ? { annotations: tool.annotations } : {})
+      });
     }
+  });
+  return tools;
+}
+
+/**
+ * Map a `<server>__<tool>` call back to its backend tool (null if not exposed)
+ */
+function resolveExposedTool(name) {
+  const parsed = splitNamespacedName(name, getExposedServers());
+  if (!parsed || !isExposedTool(parsed.serverName, parsed.name)) {
+    return null;
   }
-];
+  return { serverName: parsed.serverName, toolName: parsed.name };
+}
 
 // ============================================================================
 // SERVER SETUP
 // ============================================================================
 
-const server = new Server(
-  { name: 'mcp-bridge', version: '2.3.0' },
-  { capabilities: { tools: {} } }
-);
+// One MCP server per connected client: a single one over stdio, one per
+// session over HTTP. Backend connections and caches are shared by all.
+const bridgeServers = new Set();
 
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools: TOOLS };
-});
+/**
+ * Send a notification to every connected client
+ */
+async function notifyClients(send, description) {
+  for (const bridgeServer of bridgeServers) {
+    try {
+      await send(bridgeServer);
+    } catch (error) {
+      log(`Failed to send ${description}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Tell clients to re-list tools (server enums or exposed tools changed)
+ */
+async function notifyToolListChanged() {
+  await notifyClients(bridgeServer => bridgeServer.sendToolListChanged(), 'tools/list_changed');
+}
+
+async function notifyCatalogListChanged() {
+  await notifyClients(bridgeServer => bridgeServer.sendResourceListChanged(), 'resources/list_changed');
+  await notifyClients(bridgeServer => bridgeServer.sendPromptListChanged(), 'prompts/list_changed');
+}
+
+/**
+ * Create the MCP server for one client connection
+ */
+function createBridgeServer() {
+  const bridgeServer = new Server(
+    { name: 'mcp-bridge', version: '2.3.0' },
+    {
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { listChanged: true },
+        prompts: { listChanged: true }
+      }
+    }
+  );
+
+  bridgeServer.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: [...getBridgeTools(), ...await getExposedTools()] };
+  });
+
+  bridgeServer.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const resources = await listAggregatedCatalog('resources', (serverName, resource) => ({
+      ...resource,
+      uri: toBridgeUri(serverName, resource.uri)
+    }));
+    return { resources };
+  });
+
+  bridgeServer.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    const resourceTemplates = await listAggregatedCatalog('resourceTemplates', (serverName, template) => ({
+      ...template,
+      uriTemplate: toBridgeUri(serverName, template.uriTemplate)
+    }));
+    return { resourceTemplates };
+  });
+
+  bridgeServer.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    const { serverName, uri } = parseBridgeUri(request.params.uri);
+    const client = await getConnection(serverName);
+    const result = await client.readResource({ uri }, { signal: extra.signal });
+    return {
+      ...result,
+      contents: (result.contents || []).map(item => ({ ...item, uri: toBridgeUri(serverName, item.uri) }))
+    };
+  });
+
+  bridgeServer.setRequestHandler(ListPromptsRequestSchema, async () => {
+    const prompts = await listAggregatedCatalog('prompts', (serverName, prompt) => ({
+      ...prompt,
+      name: `${serverName}${NAMESPACE_SEPARATOR}${prompt.name}`
+    }));
+    return { prompts };
+  });
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  bridgeServer.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+    const { serverName, name } = parseNamespacedName(request.params.name);
+    const client = await getConnection(serverName);
+    return await client.getPrompt({ ...request.params, name }, { signal: extra.signal });
+  });
+
+  // Spans for the call (and any connection it makes) join the caller's trace
+  bridgeServer.setRequestHandler(CallToolRequestSchema, (request, extra) =>
+    withTraceContext(request.params._meta, () => handleToolCall(request, extra, bridgeServer))
+  );
+
+  bridgeServers.add(bridgeServer);
+  bridgeServer.onclose = () => bridgeServers.delete(bridgeServer);
+  return bridgeServer;
+}
+
+/**
+ * Handle a bridge tool call (meta-tools and directly exposed tools)
+ */
+async function handleToolCall(request, extra, bridgeServer) {
   const { name, arguments: args } = request.params;
   const startTime = Date.now();
 
@@ -334,7 +3582,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         .map(([name, config]) => ({
           name,
           description: config.description || 'No description',
-          command: config.command
+          type: config.type || 'stdio',
+          ...(config.url ? { url: redact(config.url) } : { command: redact(config.command) })
         }));
       
       return {
@@ -396,6 +3645,43 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
 
+    // ========== search_tools ==========
+    if (name === 'search_tools') {
+      const query = args?.query;
+      const serverName = args?.server;
+
+      if (!query) {
+        throw new Error('query parameter required');
+      }
+      if (serverName && !enabledServers.includes(serverName)) {
+        throw new Error(`Unknown server: ${serverName}. Available: ${enabledServers.join(', ')}`);
+      }
+
+      const limit = Math.min(
+        Math.max(1, Math.floor(args?.limit) || CONFIG.search.defaultLimit),
+        CONFIG.search.maxLimit
+      );
+      const { results, searched, errors } = await searchTools(
+        query,
+        serverName ? [serverName] : enabledServers,
+        limit
+      );
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            query,
+            results,
+            count: results.length,
+            servers_searched: searched,
+            ...(errors.length > 0 ? { unavailable: errors } : {}),
+            hint: "Use get_tool_schema(server, tool) for full parameter details"
+          }, null, 2)
+        }]
+      };
+    }
+
     // ========== get_tool_schema ==========
     if (name === 'get_tool_schema') {
       const serverName = args?.server;
@@ -408,6 +3694,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         throw new Error('tool parameter required');
       }
       
+      await assertToolAllowed(serverName, toolName);
       const tools = await getServerTools(serverName);
       const tool = tools.find(t => t.name === toolName);
       
@@ -431,26 +3718,126 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     // ========== call_mcp_tool ==========
     if (name === 'call_mcp_tool') {
-      const serverName = args?.server;
-      const toolName = args?.tool;
-      const toolArgs = args?.arguments || {};
+      return await callBridgeTool(args, { request, extra, bridgeServer, startTime });
+    }
 
-      if (!serverName) {
-        throw new Error('server parameter required. Available: ' + enabledServers.join(', '));
+    // ========== call_mcp_tools_batch ==========
+    if (name === 'call_mcp_tools_batch') {
+      const calls = args?.calls;
+      const mode = args?.mode || 'parallel';
+
+      if (!Array.isArray(calls) || calls.length === 0) {
+        throw new Error('calls parameter required: an array of { server, tool, arguments }');
+      }
+      if (calls.length > CONFIG.batch.maxCalls) {
+        throw new Error(`Too many calls: ${calls.length} (max ${CONFIG.batch.maxCalls})`);
+      }
+      if (mode !== 'parallel' && mode !== 'pipeline') {
+        throw new Error('mode must be "parallel" or "pipeline"');
+      }
+
+      const concurrency = Math.min(
+        Math.max(1, Math.floor(args?.concurrency) || CONFIG.batch.defaultConcurrency),
+        CONFIG.batch.maxConcurrency
+      );
+      const context = { request, extra, bridgeServer };
+      const results = mode === 'pipeline'
+        ? await runPipeline(calls, context)
+        : await runBatch(calls, concurrency, context);
+
+      const count = status => results.filter(r => r.status === status).length;
+      log(`Batch (${mode}) of ${calls.length} completed in ${Date.now() - startTime}ms`);
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            mode,
+            results,
+            succeeded: count('ok'),
+            failed: count('error'),
+            ...(count('skipped') > 0 ? { skipped: count('skipped') } : {}),
+            ...(count('pending_confirmation') > 0 ? { pending_confirmation: count('pending_confirmation') } : {})
+          }, null, 2)
+        }],
+        ...(count('ok') === 0 ? { isError: true } : {})
+      };
+    }
+
+    // ========== confirm_tool_call ==========
+    if (name === 'confirm_tool_call') {
+      const token = args?.token;
+      if (!token) {
+        throw new Error('token parameter required');
+      }
+
+      const pending = consumePendingCall(token, extra.sessionId);
+      // Policy may have changed since the token was issued
+      await assertToolAllowed(pending.serverName, pending.toolName);
+
+      log(`${pending.serverName}.${pending.toolName} confirmed`);
+      return await dispatchToolCall(pending.serverName, pending.toolName, pending.args, {
+        ...pending.callOptions,
+        request,
+        extra,
+        startTime
+      });
+    }
+
+    // ========== get_result_page ==========
+    if (name === 'get_result_page') {
+      const resultId = args?.id;
+      if (!resultId) {
+        throw new Error('id parameter required');
       }
-      if (!toolName) {
-        throw new Error('tool parameter required. Use list_mcp_tools("' + serverName + '") to see available tools.');
+
+      pruneResultStore();
+      const stored = resultStore.get(resultId);
+      if (!stored) {
+        throw new Error(`Result "${resultId}" not found or expired. Re-run the original call.`);
       }
 
-      const result = await executeToolCall(serverName, toolName, toolArgs);
-      const elapsed = Date.now() - startTime;
-      console.error(`[mcpbridge] ${serverName}.${toolName} completed in ${elapsed}ms`);
+      const offset = Math.max(0, Math.floor(args?.offset) || 0);
+      const limit = Math.min(
+        Math.max(1, Math.floor(args?.limit) || CONFIG.results.pageSize),
+        CONFIG.results.maxPageSize
+      );
+      const page = stored.text.slice(offset, offset + limit);
+      const nextOffset = offset + page.length < stored.text.length ? offset + page.length : null;
 
-      // Return full results as-is
-      if (result.content && result.content.length > 0) {
-        return { content: result.content };
-      }
-      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+      return {
+        content: [
+          { type: 'text', text: page },
+          {
+            type: 'text',
+            text: JSON.stringify({
+              result_id: resultId,
+              offset,
+              returned_chars: page.length,
+              total_chars: stored.text.length,
+              next_offset: nextOffset
+            }, null, 2)
+          }
+        ]
+      };
+    }
+
+    // ========== get_call_history ==========
+    if (name === 'get_call_history') {
+      const limit = Math.min(Math.max(1, Math.floor(args?.limit) || 20), 200);
+      const calls = queryCallHistory({
+        server: args?.server,
+        tool: args?.tool,
+        status: args?.status,
+        limit
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ calls, count: calls.length, total_recorded: callHistory.length }, null, 2)
+        }]
+      };
     }
 
     // ========== check_server_health ==========
@@ -463,19 +3850,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       for (const srv of serversToCheck) {
         const checkStart = Date.now();
         try {
-          const tools = await getServerTools(srv);
+          // Always ask the backend: a disk-cached tool list says nothing about health
+          const tools = (await refreshServerTools(srv))
+            .filter(tool => getToolPolicyViolation(srv, tool.name, tool) === null);
           const elapsed = Date.now() - checkStart;
+          const circuit = getCircuitStatus(srv);
           results.push({
             server: srv,
-            status: 'healthy',
+            status: circuit.state === CIRCUIT_STATES.CLOSED ? 'healthy' : 'circuit_open',
             response_time_ms: elapsed,
-            tool_count: tools.length
+            tool_count: tools.length,
+            circuit
           });
         } catch (error) {
           results.push({
             server: srv,
-            status: 'error',
-            error: error.message
+            status: error.kind === ERROR_KINDS.CIRCUIT_OPEN ? 'circuit_open' : 'error',
+            error: error.message,
+            circuit: getCircuitStatus(srv)
           });
         }
       }
@@ -497,6 +3889,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const cachedToolsCount = Array.from(toolsCache.values())
         .reduce((sum, cache) => sum + cache.tools.length, 0);
       
+      const openCircuits = Object.fromEntries(
+        Array.from(circuits.keys()).map(srv => [srv, getCircuitStatus(srv)])
+      );
+      
+      const queues = Object.fromEntries(
+        Array.from(callQueues.keys()).map(srv => [srv, getQueueStatus(srv)])
+      );
+      
       const memUsage = process.memoryUsage();
       
       return {
@@ -509,6 +3909,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             connected: connectedServers,
             cached_tools: cachedToolsCount,
             cache_entries: toolsCache.size,
+            result_cache: getResultCacheStatus(),
+            circuits: openCircuits,
+            queues,
+            tools: getToolMetricsSummary(),
+            connection_attempts: getConnectionMetricsSummary(),
             memory: {
               heap_used_mb: Math.round(memUsage.heapUsed / 1024 / 1024 * 10) / 10,
               heap_total_mb: Math.round(memUsage.heapTotal / 1024 / 1024 * 10) / 10
@@ -519,31 +3924,748 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
 
+    // ========== directly exposed backend tools ==========
+    const exposed = resolveExposedTool(name);
+    if (exposed) {
+      return await callBridgeTool(
+        { server: exposed.serverName, tool: exposed.toolName, arguments: args },
+        { request, extra, bridgeServer, startTime }
+      );
+    }
+
     throw new Error(`Unknown tool: ${name}`);
 
   } catch (error) {
-    console.error(`[mcpbridge] Error in ${name}: ${error.message}`);
+    log(`Error in ${name}: ${error.message}`);
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify({ error: error.message }, null, 2)
+        text: JSON.stringify({
+          error: redact(error.message),
+          ...(error.kind ? { error_kind: error.kind } : {}),
+          ...(error.retryAfterMs !== undefined ? { retry_after_ms: error.retryAfterMs } : {})
+        }, null, 2)
       }],
       isError: true
     };
   }
-});
+}
+
+// ============================================================================
+// HTTP SERVING
+// ============================================================================
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+const httpSessions = new Map(); // sessionId -> { transport, lastSeenAt }
+let httpServer = null;
+let sessionReaperInterval = null;
+
+function getHttpSettings() {
+  return { ...CONFIG.http, ...bridgeConfig.http };
+}
+
+/**
+ * The bearer token clients must send: config `http.bearerToken` (placeholders
+ * allowed) or MCPBRIDGE_HTTP_TOKEN; null when neither is set
+ */
+function getHttpToken(settings) {
+  const token = settings.bearerToken ?? process.env.MCPBRIDGE_HTTP_TOKEN;
+  if (!token) {
+    return null;
+  }
+  const resolved = resolvePlaceholders(token, 'http', loadDotenv);
+  registerSecret(resolved);
+  return resolved;
+}
+
+function isAuthorized(req, token) {
+  if (!token) {
+    return true;
+  }
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function sendHttpError(res, status, code, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new Error(`Request body exceeds ${maxBytes} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8')));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Route one HTTP request: existing sessions by Mcp-Session-Id, new sessions
+ * on initialize. Each session gets its own bridge server; all share the backends.
+ */
+async function handleHttpRequest(req, res, settings, token) {
+  if (req.url.split('?')[0] !== settings.path) {
+    sendHttpError(res, 404, ErrorCode.InvalidRequest, `Not found. MCP endpoint is ${settings.path}`);
+    return;
+  }
+  if (!isAuthorized(req, token)) {
+    sendHttpError(res, 401, ErrorCode.InvalidRequest, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+    return;
+  }
+
+  let body;
+  if (req.method === 'POST') {
+    try {
+      body = await readJsonBody(req, settings.maxBodyBytes);
+    } catch (error) {
+      sendHttpError(res, 400, ErrorCode.ParseError, `Invalid request body: ${error.message}`);
+      return;
+    }
+  }
+
+  const sessionId = req.headers['mcp-session-id'];
+  const session = sessionId ? httpSessions.get(sessionId) : undefined;
+  if (session) {
+    session.lastSeenAt = Date.now();
+    await session.transport.handleRequest(req, res, body);
+    return;
+  }
+  if (sessionId) {
+    // Expired or unknown: the client should start a new session
+    sendHttpError(res, 404, ErrorCode.InvalidRequest, 'Session not found');
+    return;
+  }
+  if (req.method !== 'POST' || !isInitializeRequest(body)) {
+    sendHttpError(res, 400, ErrorCode.InvalidRequest, 'Bad request: missing Mcp-Session-Id (send initialize first)');
+    return;
+  }
+  if (httpSessions.size >= settings.maxSessions) {
+    sendHttpError(res, 503, ErrorCode.InternalError, `Too many sessions (max ${settings.maxSessions})`);
+    return;
+  }
+
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: (id) => {
+      httpSessions.set(id, { transport, lastSeenAt: Date.now() });
+      log(`HTTP session ${id} started (${httpSessions.size} active)`);
+    },
+    // Browsers on other sites must not reach a loopback-only bridge
+    ...(LOOPBACK_HOSTS.includes(settings.host) ? {
+      enableDnsRebindingProtection: true,
+      allowedHosts: LOOPBACK_HOSTS.map(host => `${host.includes(':') ? `[${host}]` : host}:${settings.port}`)
+    } : {})
+  });
+  transport.onclose = () => {
+    if (transport.sessionId && httpSessions.delete(transport.sessionId)) {
+      log(`HTTP session ${transport.sessionId} closed (${httpSessions.size} active)`);
+    }
+  };
+
+  await createBridgeServer().connect(transport);
+  await transport.handleRequest(req, res, body);
+}
+
+/**
+ * Close sessions that have sent nothing for sessionIdleTimeoutMs
+ */
+function reapIdleSessions(settings) {
+  const now = Date.now();
+  for (const [sessionId, session] of httpSessions) {
+    if (now - session.lastSeenAt > settings.sessionIdleTimeoutMs) {
+      log(`Closing HTTP session ${sessionId} (idle)`);
+      session.transport.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Serve the bridge over Streamable HTTP. Refuses to listen beyond loopback
+ * without a bearer token.
+ */
+async function startHttpServer(port) {
+  const settings = { ...getHttpSettings(), port };
+  const token = getHttpToken(settings);
+
+  if (!token && !LOOPBACK_HOSTS.includes(settings.host)) {
+    throw new Error(`Refusing to serve on ${settings.host} without a bearer token (set http.bearerToken or MCPBRIDGE_HTTP_TOKEN)`);
+  }
+  if (!token) {
+    log('No HTTP bearer token set: any local process can use this bridge');
+  }
+
+  httpServer = createServer((req, res) => {
+    handleHttpRequest(req, res, settings, token).catch((error) => {
+      log(`HTTP request failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendHttpError(res, 500, ErrorCode.InternalError, 'Internal server error');
+      }
+    });
+  });
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, settings.host, resolve);
+  });
+  // With --http 0 the OS picks the port; allowedHosts and the log need the real one
+  settings.port = httpServer.address().port;
+
+  sessionReaperInterval = setInterval(() => reapIdleSessions(settings), CONFIG.idleCheckIntervalMs);
+  sessionReaperInterval.unref();
+  log(`Serving MCP over HTTP at http://${settings.host}:${settings.port}${settings.path}`);
+}
+
+// ============================================================================
+// CONFIG HOT-RELOAD
+// ============================================================================
+
+let reloadTimer = null;
+
+/**
+ * Re-read the config, diff it against the running state and apply changes.
+ * Only servers whose entry changed (or was removed) are disconnected and
+ * have their tool cache flushed; new servers connect lazily as usual.
+ */
+async function reloadConfig() {
+  let nextConfig;
+  try {
+    nextConfig = readConfig();
+  } catch (error) {
+    log(`Config reload failed, keeping current config: ${error.message}`);
+    return;
+  }
+
+  const nextServers = nextConfig.servers || {};
+  bridgeConfig = nextConfig;
+  applySettings(nextConfig);
+  // Includes may have been added or removed
+  watchConfig();
+
+  const names = new Set([...Object.keys(SERVERS), ...Object.keys(nextServers)]);
+  const changed = [...names].filter(name =>
+    JSON.stringify(SERVERS[name]) !== JSON.stringify(nextServers[name])
+  );
+
+  if (changed.length === 0) {
+    return;
+  }
+
+  const previousEnabled = enabledServers;
+  const previousExposed = getExposedServers();
+  SERVERS = nextServers;
+  enabledServers = getEnabledServers(nextServers);
+  const exposedChanged = changed.some(name => previousExposed.includes(name) || getExposedServers().includes(name));
+
+  for (const name of changed) {
+    toolsCache.delete(name);
+    clearResultCache(name);
+    clearCatalogCache(name);
+    circuits.delete(name);
+    await closeConnection(name);
+  }
+
+  log(`Config reloaded, changed: ${changed.join(', ')}`);
+  warmEagerServers(changed.filter(name => enabledServers.includes(name)));
+
+  // Server enums in the bridge tool schemas, or the directly exposed tools, changed
+  const enabledChanged = previousEnabled.join('\0') !== enabledServers.join('\0');
+  if (enabledChanged) {
+    log(`Now serving ${enabledServers.length} servers: ${enabledServers.join(', ')}`);
+  }
+  if (enabledChanged || exposedChanged) {
+    await notifyToolListChanged();
+  }
+
+  // Changed servers may expose different resources and prompts
+  await notifyCatalogListChanged();
+}
+
+// Directory -> watcher, one per directory holding a config file or include
+const configWatchers = new Map();
+
+/**
+ * Watch the directories of every config file (editors often replace a file
+ * on save, which would orphan a watcher on the file itself). Called again
+ * after each reload, since includes may have changed.
+ */
+function watchConfig() {
+  const directories = new Set(configFiles.map(file => dirname(file)));
+  for (const [directory, watcher] of configWatchers) {
+    if (!directories.has(directory)) {
+      watcher.close();
+      configWatchers.delete(directory);
+    }
+  }
+
+  for (const directory of directories) {
+    if (configWatchers.has(directory)) continue;
+    try {
+      const watcher = watch(directory, (_, filename) => {
+        if (filename && !configFiles.includes(join(directory, filename))) return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => {
+          if (existsSync(CONFIG_PATH)) {
+            reloadConfig();
+          }
+        }, CONFIG.configReloadDebounceMs);
+      });
+      watcher.unref();
+      configWatchers.set(directory, watcher);
+    } catch (error) {
+      log(`Config watching unavailable for ${directory}: ${error.message}`);
+    }
+  }
+}
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+let reaperInterval = null;
+let shuttingDown = false;
+
+/**
+ * Close connections idle longer than their server's `idleTimeoutMs`.
+ * They reconnect lazily on next use.
+ */
+async function reapIdleConnections() {
+  const now = Date.now();
+  for (const [serverName, conn] of connections) {
+    const idleTimeoutMs = SERVERS[serverName]?.idleTimeoutMs ?? CONFIG.idleTimeoutMs;
+    if (!idleTimeoutMs || conn.inFlight > 0) continue;
+
+    if (now - conn.lastUsedAt > idleTimeoutMs) {
+      log(`Closing ${serverName} (idle ${Math.round((now - conn.lastUsedAt) / 1000)}s)`);
+      await closeConnection(serverName);
+    }
+  }
+}
+
+function startIdleReaper() {
+  reaperInterval = setInterval(reapIdleConnections, CONFIG.idleCheckIntervalMs);
+  reaperInterval.unref();
+}
+
+/**
+ * Connect servers flagged `eager: true` in the background and warm their tool cache
+ */
+function warmEagerServers(serverNames = enabledServers) {
+  for (const serverName of serverNames) {
+    if (SERVERS[serverName]?.eager !== true || SERVERS[serverName].enabled === false) continue;
+    // Not fetchServerTools: a disk-cached list must not stand in for starting the server
+    refreshServerTools(serverName).catch(error => {
+      log(`Eager start of ${serverName} failed: ${error.message}`);
+    });
+  }
+}
+
+/**
+ * Close every backend connection (killing stdio children) and exit
+ */
+async function shutdown(reason) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  log(`Shutting down (${reason}), closing ${connections.size} connection(s)`);
+  clearInterval(reaperInterval);
+  clearInterval(sessionReaperInterval);
+  metricsServer?.close();
+  httpServer?.close();
+  for (const { transport } of httpSessions.values()) {
+    transport.close().catch(() => {});
+  }
+  saveResultCache();
+  if (toolsCacheSaveTimer) saveToolsCache();
+
+  const closing = Promise.allSettled([...connections.keys()].map(closeConnection));
+  await Promise.race([closing, sleep(CONFIG.shutdownTimeoutMs)]);
+  process.exit(0);
+}
+
+function registerShutdownHandlers({ stdio }) {
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  // The upstream client went away (stdin closed); over HTTP stdin is unused
+  if (stdio) {
+    process.stdin.on('end', () => shutdown('client disconnected'));
+  }
+}
+
+// ============================================================================
+// VALIDATE COMMAND
+// ============================================================================
+
+/**
+ * `mcpbridge validate [--spawn]`: the config was already parsed and checked
+ * against the schema at load (which exits on errors). Here each enabled
+ * server's placeholders and transport settings are resolved, and with
+ * --spawn the server is started and must list its tools. Returns the exit code.
+ */
+async function runValidate() {
+  const spawn = getCliOption('--spawn') !== undefined;
+  const profile = CONFIG_PROFILE ? `, profile ${CONFIG_PROFILE}` : '';
+  console.log(`${configFiles.join(' + ')}: schema OK, ${Object.keys(SERVERS).length} server(s), ${enabledServers.length} enabled${profile}`);
+
+  let failures = 0;
+  for (const serverName of enabledServers) {
+    const startedAt = Date.now();
+    try {
+      createTransport(serverName, resolveServerConfig(serverName, SERVERS[serverName]));
+      if (!spawn) {
+        console.log(`  ok    ${serverName}`);
+        continue;
+      }
+      const client = await getConnection(serverName);
+      const { tools = [] } = await client.listTools();
+      console.log(`  ok    ${serverName}: ${tools.length} tool(s) in ${Date.now() - startedAt}ms`);
+    } catch (error) {
+      failures++;
+      console.log(`  FAIL  ${serverName}: ${redact(error.message)}`);
+    } finally {
+      await closeConnection(serverName);
+    }
+  }
+
+  if (failures > 0) {
+    console.log(`${failures} server(s) failed`);
+  }
+  return failures > 0 ? 1 : 0;
+}
+
+// ============================================================================
+// IMPORT COMMAND
+// ============================================================================
+
+// Shorthands for `mcpbridge import <client>` instead of a file path
+const CLIENT_CONFIG_PATHS = {
+  'claude-desktop': process.platform === 'darwin'
+    ? join(homedir(), 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json')
+    : process.platform === 'win32'
+      ? join(process.env.APPDATA || homedir(), 'Claude', 'claude_desktop_config.json')
+      : join(homedir(), '.config', 'Claude', 'claude_desktop_config.json'),
+  cursor: join(homedir(), '.cursor', 'mcp.json'),
+  vscode: join(process.cwd(), '.vscode', 'mcp.json')
+};
+
+// Client entry fields carried over unchanged; anything else is reported as ignored
+const IMPORTED_FIELDS = ['command', 'args', 'env', 'cwd', 'url', 'headers', 'description'];
+const IMPORT_CONTROL_FIELDS = ['type', 'transportType', 'disabled', 'enabled'];
+// Placeholders the bridge resolves itself; ${input:...}, ${workspaceFolder} etc. are not
+const UNSUPPORTED_PLACEHOLDER = /\$\{(?!(?:env|file|dotenv):)[^}]*\}/g;
+
+/**
+ * JSON.parse that tolerates the comments and trailing commas VS Code allows
+ */
+function parseJsonc(text) {
+  let json = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      const start = i;
+      for (i++; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] === '\\') i++;
+      }
+      json += text.slice(start, i + 1);
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      json += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else if (char === ',' && '}]'.includes(nextSignificantChar(text, i + 1))) {
+      // Trailing comma
+    } else {
+      json += char;
+    }
+  }
+  return JSON.parse(json);
+}
+
+/**
+ * First character at or after `from` that is not whitespace or inside a comment
+ */
+function nextSignificantChar(text, from) {
+  let i = from;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end + 1;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      return text[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * The servers map of a client config: `mcpServers` (Claude Desktop, Cursor,
+ * Claude Code), `servers` (VS Code .vscode/mcp.json) or `mcp.servers`
+ * (VS Code settings.json)
+ */
+function findClientServers(doc) {
+  if (isPlainObject(doc.mcpServers)) return { format: 'mcpServers', servers: doc.mcpServers };
+  if (isPlainObject(doc.servers)) return { format: 'servers', servers: doc.servers };
+  if (isPlainObject(doc.mcp?.servers)) return { format: 'settings', servers: doc.mcp.servers };
+  return null;
+}
+
+/**
+ * Convert one client entry to a bridge server entry, with notes on anything
+ * that did not carry over cleanly
+ */
+function convertClientServer(entry, sourceName) {
+  const warnings = [];
+  const rawType = entry.type ?? entry.transportType ?? (entry.url ? 'http' : 'stdio');
+  const server = { type: rawType === 'streamable-http' ? 'http' : rawType };
+  for (const key of IMPORTED_FIELDS) {
+    if (entry[key] !== undefined) server[key] = entry[key];
+  }
+  server.description ??= `Imported from ${sourceName}`;
+  if (entry.disabled === true || entry.enabled === false) {
+    server.enabled = false;
+  }
+
+  const ignored = Object.keys(entry).filter(key => !IMPORTED_FIELDS.includes(key) && !IMPORT_CONTROL_FIELDS.includes(key));
+  if (ignored.length > 0) {
+    warnings.push(`ignored ${ignored.join(', ')}`);
+  }
+  const placeholders = [...new Set(JSON.stringify(server).match(UNSUPPORTED_PLACEHOLDER) || [])];
+  if (placeholders.length > 0) {
+    warnings.push(`unsupported placeholders ${placeholders.join(', ')}; use \${env:VAR}, \${dotenv:KEY} or \${file:path}`);
+  }
+  const values = [...Object.values(server.env || {}), ...Object.values(server.headers || {})];
+  if (values.some(value => typeof value === 'string' && !value.includes('${'))) {
+    warnings.push('env/headers copied as plaintext; consider ${dotenv:KEY}');
+  }
+  return { server, warnings };
+}
+
+/**
+ * Whether a client entry launches the bridge itself
+ */
+function isBridgeEntry(name, entry) {
+  const launch = [entry.command, ...(Array.isArray(entry.args) ? entry.args : [])].map(String);
+  return name === 'mcpbridge' || launch.some(part => basename(part) === 'bridge-server.js' || basename(part) === 'mcpbridge');
+}
+
+function getServerIdentity(server) {
+  return canonicalJson(Object.fromEntries(SERVER_IDENTITY_FIELDS.map(key =>
+    [key, key === 'type' ? server.type || 'stdio' : server[key] ?? null]
+  )));
+}
+
+/**
+ * The entry a client should use instead of its individual servers, in the
+ * client's own config format
+ */
+function getBridgeClientEntry(format) {
+  const entry = { command: 'node', args: [__filename, '--config', CONFIG_PATH] };
+  if (format === 'mcpServers') {
+    return { mcpServers: { mcpbridge: entry } };
+  }
+  const servers = { mcpbridge: { type: 'stdio', ...entry } };
+  return format === 'settings' ? { mcp: { servers } } : { servers };
+}
+
+/**
+ * `mcpbridge import <file|claude-desktop|cursor|vscode> [--write] [--overwrite] [--emit-entry]`:
+ * convert a client's MCP servers into bridge server entries. Entries that
+ * clash with the current config are reported and left alone unless
+ * --overwrite; --write saves the result to the config file. Returns the exit code.
+ */
+function runImport() {
+  const source = process.argv[3];
+  if (!source || source.startsWith('--')) {
+    console.log(`Usage: mcpbridge import <file|${Object.keys(CLIENT_CONFIG_PATHS).join('|')}> [--write] [--overwrite] [--emit-entry]`);
+    return 1;
+  }
+  const sourcePath = CLIENT_CONFIG_PATHS[source] ?? resolve(expandHome(source));
+
+  let found;
+  try {
+    found = findClientServers(parseJsonc(readFileSync(sourcePath, 'utf-8')));
+  } catch (error) {
+    console.log(`Cannot read ${sourcePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    return 1;
+  }
+  if (!found) {
+    console.log(`${sourcePath}: no mcpServers, servers or mcp.servers block found`);
+    return 1;
+  }
+
+  const overwrite = getCliOption('--overwrite') !== undefined;
+  const existingByIdentity = new Map(Object.entries(SERVERS).map(([name, server]) => [getServerIdentity(server), name]));
+  const accepted = {};
+  const lines = [];
+  const report = (status, name, detail) => lines.push(`  ${status.padEnd(9)} ${name}${detail ? `: ${detail}` : ''}`);
+
+  for (const [name, entry] of Object.entries(found.servers)) {
+    if (!isPlainObject(entry)) {
+      report('invalid', name, 'not an object');
+      continue;
+    }
+    if (isBridgeEntry(name, entry)) {
+      report('skip', name, 'this is the bridge itself');
+      continue;
+    }
+
+    const { server, warnings } = convertClientServer(entry, basename(sourcePath));
+    const parsed = serverSchema.safeParse(server);
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      report('invalid', name, `${issue.path.join('.') || '(entry)'}: ${issue.message}`);
+      continue;
+    }
+
+    const identity = getServerIdentity(server);
+    if (SERVERS[name]) {
+      if (getServerIdentity(SERVERS[name]) === identity) {
+        report('same', name, 'already configured');
+        continue;
+      }
+      if (!overwrite) {
+        report('conflict', name, 'differs from the existing entry (--overwrite to replace it)');
+        continue;
+      }
+      report('replace', name, warnings.join('; '));
+    } else if (existingByIdentity.has(identity)) {
+      report('same', name, `same server as ${existingByIdentity.get(identity)}`);
+      continue;
+    } else {
+      report('add', name, warnings.join('; '));
+    }
+    accepted[name] = server;
+    existingByIdentity.set(identity, name);
+  }
+
+  const count = Object.keys(accepted).length;
+  console.log(`${sourcePath}: ${Object.keys(found.servers).length} server(s), ${count} to import into ${CONFIG_PATH}`);
+  lines.forEach(line => console.log(line));
+
+  if (count > 0 && getCliOption('--write') !== undefined) {
+    const target = existsSync(CONFIG_PATH) ? JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')) : {};
+    target.servers = { ...target.servers, ...accepted };
+    writeJsonFileAtomic(CONFIG_PATH, target, 2);
+    console.log(`Wrote ${count} server(s) to ${CONFIG_PATH}`);
+  } else if (count > 0) {
+    console.log(`\nDry run; re-run with --write to add to ${CONFIG_PATH}:`);
+    console.log(JSON.stringify({ servers: accepted }, null, 2));
+  }
+
+  if (getCliOption('--emit-entry') !== undefined) {
+    console.log(`\nReplace the servers in ${sourcePath} with:`);
+    console.log(JSON.stringify(getBridgeClientEntry(found.format), null, 2));
+  }
+  return 0;
+}
 
 // ============================================================================
 // STARTUP
 // ============================================================================
 
+/**
+ * Value of a `--name value` / `--name=value` command-line option:
+ * undefined when absent, '' when given without a value
+ */
+function getCliOption(name) {
+  const args = process.argv.slice(2);
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  if (inline !== undefined) {
+    return inline.slice(name.length + 1);
+  }
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return undefined;
+  }
+  const value = args[index + 1];
+  return value === undefined || value.startsWith('--') ? '' : value;
+}
+
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('[mcpbridge] MCP Bridge Server v2.3.0 started');
+  initConfig();
+  if (CLI_COMMAND === 'validate') {
+    process.exit(await runValidate());
+  }
+  if (CLI_COMMAND === 'import') {
+    process.exit(runImport());
+  }
+
+  const httpPort = getCliOption('--http');
+  if (httpPort !== undefined) {
+    const port = Number(httpPort);
+    if (httpPort === '' || !Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid --http port: "${httpPort}"`);
+    }
+    await startHttpServer(port);
+  } else {
+    await createBridgeServer().connect(new StdioServerTransport());
+  }
+  registerShutdownHandlers({ stdio: httpPort === undefined });
+  await initTracing();
+  loadToolsCache();
+  loadResultCache();
+  startMetricsServer();
+  watchConfig();
+  startIdleReaper();
+  warmEagerServers();
+  log('MCP Bridge Server v2.3.0 started');
 }
 
-main().catch((error) => {
-  console.error('[mcpbridge] Fatal error:', error);
-  process.exit(1);
-});
+/**
+ * Whether this file was run as a program (`node bridge-server.js` or the
+ * mcpbridge bin) rather than imported by test-client.js
+ */
+function isMainModule() {
+  const entry = process.argv[1];
+  if (!entry) return false;
+  try {
+    return realpathSync(existsSync(entry) ? entry : `${entry}.js`) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+// Pure helpers covered by test-client.js
+export {
+  compileJsonPath,
+  applyJsonPath,
+  parseJsonc,
+  nextSignificantChar,
+  mergeConfig,
+  applyProfile,
+  parseDotenv,
+  getPolicyViolation,
+  resolveServerConfig,
+  redact,
+  isIdempotentTool,
+  getRetryRefusal
+};
+
+if (isMainModule()) {
+  main().catch((error) => {
+    log(`Fatal error: ${error.stack || error.message}`);
+    process.exit(1);
+  });
+}
@@ -7,10 +7,15 @@
  *   node test-client.js list-servers              # Test list_servers
  *   node test-client.js list-tools <server>       # Test list_mcp_tools
  *   node test-client.js call <server> <tool> '{}'  # Test call_mcp_tool
+ *   node test-client.js search <query> [server]   # Test search_tools
+ *   node test-client.js batch '[{...}]' [mode]    # Test call_mcp_tools_batch
+ *   node test-client.js page <server> <tool> '{}' [offset]  # Test get_result_page on a truncated result
+ *   node test-client.js unit                      # Test pure helpers only (no bridge or config needed)
  */
 
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { deepStrictEqual, throws } from 'assert';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -67,9 +72,213 @@ async function testCallTool(client, serverName, toolName, args) {
   return result;
 }
 
-async function runAllTests(client) {
-  console.log('=== MCP Bridge Test Suite ===\n');
+async function testSearchTools(client, query, serverName) {
+  console.log(`\n--- Testing search_tools(${query}${serverName ? `, ${serverName}` : ''}) ---`);
+  const result = await client.callTool({
+    name: 'search_tools',
+    arguments: serverName ? { query, server: serverName } : { query }
+  });
+  console.log(result.content[0].text);
+  return result;
+}
+
+async function testBatch(client, calls, mode) {
+  console.log(`\n--- Testing call_mcp_tools_batch(${calls.length} calls${mode ? `, ${mode}` : ''}) ---`);
+  const result = await client.callTool({
+    name: 'call_mcp_tools_batch',
+    arguments: mode ? { calls, mode } : { calls }
+  });
+  console.log(result.content[0].text);
+  return result;
+}
+
+async function testResultPage(client, serverName, toolName, args, offset) {
+  // Result IDs only live in the bridge that stored them, so truncate and page in one session
+  const called = await testCallTool(client, serverName, toolName, args);
+  const notice = called.content
+    .filter(item => item.type === 'text')
+    .map(item => { try { return JSON.parse(item.text); } catch { return null; } })
+    .find(parsed => parsed && parsed.truncated);
+  if (!notice) {
+    console.log('Result was not truncated, nothing to page');
+    return called;
+  }
+
+  const pageOffset = offset ?? notice.returned_chars;
+  console.log(`\n--- Testing get_result_page(${notice.result_id}, ${pageOffset}) ---`);
+  const result = await client.callTool({
+    name: 'get_result_page',
+    arguments: { id: notice.result_id, offset: pageOffset }
+  });
+  console.log(result.content[0].text);
+  return result;
+}
+
+function runCases(cases) {
+  for (const [name, run, expected] of cases) {
+    deepStrictEqual(run(), expected, name);
+    console.log(`  ok - ${name}`);
+  }
+}
+
+function testJsonHelpers({ compileJsonPath, applyJsonPath, parseJsonc, nextSignificantChar }) {
+  console.log('\n--- Testing JSONPath and JSONC helpers ---');
+  const select = (expression, data) => applyJsonPath(compileJsonPath(expression), data);
+
+  const store = {
+    book: [
+      { title: 'A', price: 8, tags: ['x'] },
+      { title: 'B', price: 12, isbn: '1' },
+      { title: 'C', price: 5, isbn: '2' },
+      { title: 'D', price: 20 }
+    ],
+    bicycle: { color: 'red', price: 19 },
+    'odd key': 1
+  };
+
+  const cases = [
+    ['root', () => select('$', store), [store]],
+    ['child', () => select('$.bicycle.color', store), ['red']],
+    ['bracket name', () => select("$['odd key']", store), [1]],
+    ['name union', () => select("$.bicycle['color','price']", store), ['red', 19]],
+    ['index', () => select('$.book[1].title', store), ['B']],
+    ['negative index', () => select('$.book[-1].title', store), ['D']],
+    ['index union', () => select('$.book[0,-2].title', store), ['A', 'C']],
+    ['index out of range', () => select('$.book[9]', store), []],
+    ['wildcard', () => select('$.book[*].price', store), [8, 12, 5, 20]],
+    ['slice', () => select('$.book[1:3].title', store), ['B', 'C']],
+    ['slice open end', () => select('$.book[2:].title', store), ['C', 'D']],
+    ['slice negative start', () => select('$.book[-2:].title', store), ['C', 'D']],
+    ['slice step', () => select('$.book[::2].title', store), ['A', 'C']],
+    ['slice reverse', () => select('$.book[::-1].title', store), ['D', 'C', 'B', 'A']],
+    ['slice zero step', () => select('$.book[::0]', store), []],
+    ['filter comparison', () => select('$.book[?(@.price < 10)].title', store), ['A', 'C']],
+    ['filter equality', () => select("$.book[?(@.title == 'B')].price", store), [12]],
+    ['filter existence', () => select('$.book[?(@.isbn)].title', store), ['B', 'C']],
+    ['filter object members', () => select('$[?(@.color)].price', store), [19]],
+    ['recursive name', () => select('$..price', store), [19, 8, 12, 5, 20]],
+    ['recursive filter', () => select('$..[?(@.price >= 19)].title', store), ['D']],
+    ['recursive index', () => select('$..tags[0]', store), ['x']],
+    ['no match', () => select('$.missing.deeper', store), []],
+    ['jsonc line and block comments', () => parseJsonc('{\n  // note\n  "a": 1, /* b */ "b": [2]\n}'), { a: 1, b: [2] }],
+    ['jsonc trailing commas', () => parseJsonc('{ "a": [1, 2,], "b": { "c": 3, }, }'), { a: [1, 2], b: { c: 3 } }],
+    ['jsonc trailing comma before comment', () => parseJsonc('{ "a": 1, // last\n}'), { a: 1 }],
+    ['jsonc comment markers in strings', () => parseJsonc('{ "url": "http://x/*y*/", "c": "// not a comment" }'), { url: 'http://x/*y*/', c: '// not a comment' }],
+    ['jsonc commas in strings', () => parseJsonc('{ "a": ",}", "b": ",]" }'), { a: ',}', b: ',]' }],
+    ['jsonc escaped quotes', () => parseJsonc('{ "a": "say \\"hi\\", // ok", }'), { a: 'say "hi", // ok' }],
+    ['next char skips whitespace and comments', () => nextSignificantChar('  // x\n /* y */ }', 0), '}'],
+    ['next char at end of input', () => nextSignificantChar('  /* open', 0), null]
+  ];
+
+  runCases(cases);
+
+  for (const expression of ['$.book[', '$.book[?(@.price ~ 1)]', '$.book[a]', '$book']) {
+    throws(() => compileJsonPath(expression), /Invalid select expression/, expression);
+    console.log(`  ok - rejects ${expression}`);
+  }
+  throws(() => parseJsonc('{ "a": 1 /* unclosed'), SyntaxError);
+  console.log('  ok - rejects unclosed JSONC');
+}
+
+function testConfigHelpers({ mergeConfig, applyProfile, parseDotenv }) {
+  console.log('\n--- Testing config merge, profiles and .env parsing ---');
+  const base = { servers: { a: { command: 'x', args: ['1'] } }, callTimeoutMs: 1000 };
+  const config = {
+    servers: { a: { command: 'x' }, b: { command: 'y' }, c: { command: 'z', enabled: false } },
+    profiles: { work: ['a', 'c'], broken: ['a', 'nope'] }
+  };
+
+  runCases([
+    ['merge objects key by key', () => mergeConfig(base, { servers: { a: { enabled: false }, b: { command: 'y' } } }),
+      { servers: { a: { command: 'x', args: ['1'], enabled: false }, b: { command: 'y' } }, callTimeoutMs: 1000 }],
+    ['merge replaces arrays and scalars', () => mergeConfig(base, { servers: { a: { args: ['2'] } }, callTimeoutMs: 5 }),
+      { servers: { a: { command: 'x', args: ['2'] } }, callTimeoutMs: 5 }],
+    ['merge leaves the base alone', () => (mergeConfig(base, { servers: { a: { command: 'q' } } }), base.servers.a.command), 'x'],
+    ['no profile keeps the config', () => applyProfile(config, null) === config, true],
+    ['profile enables exactly its servers', () => Object.fromEntries(
+      Object.entries(applyProfile(config, 'work').servers).map(([name, server]) => [name, server.enabled])
+    ), { a: true, b: false, c: true }],
+    ['dotenv', () => parseDotenv([
+      '# comment',
+      '',
+      'export A=1',
+      'B = "two words"',
+      "C='single \\n kept'",
+      'D="line\\nbreak"',
+      'E=value # trailing comment',
+      'F=has#hash',
+      'not a pair',
+      'G=crlf\r',
+      'H='
+    ].join('\n')), { A: '1', B: 'two words', C: 'single \\n kept', D: 'line\nbreak', E: 'value', F: 'has#hash', G: 'crlf', H: '' }]
+  ]);
 
+  throws(() => applyProfile(config, 'missing'), /unknown profile "missing"\. Defined: work, broken/);
+  console.log('  ok - rejects unknown profile');
+  throws(() => applyProfile(config, 'broken'), /lists unknown server\(s\): nope/);
+  console.log('  ok - rejects profile with unknown servers');
+}
+
+function testPolicyHelpers({ getPolicyViolation, isIdempotentTool, getRetryRefusal }) {
+  console.log('\n--- Testing tool policy and retry decisions ---');
+  const policy = { allowTools: ['get_*', 'list_?ables', 'a.b'], denyTools: ['get_secret*'] };
+  const retryOn = ['transport', 'timeout'];
+
+  runCases([
+    ['allow glob', () => getPolicyViolation(policy, 'get_user', null), null],
+    ['? matches one character', () => getPolicyViolation(policy, 'list_tables', null), null],
+    ['deny wins over allow', () => getPolicyViolation(policy, 'get_secret_key', null), 'matches denyTools (get_secret*)'],
+    ['not in allow list', () => getPolicyViolation(policy, 'delete_user', null), 'not in allowTools (get_*, list_?ables, a.b)'],
+    ['glob dots are literal', () => getPolicyViolation(policy, 'aXb', null) !== null, true],
+    ['read-only allows get_ by name', () => getPolicyViolation({ readOnly: true }, 'get_user', null), null],
+    ['read-only blocks writes by name', () => getPolicyViolation({ readOnly: true }, 'send_sms', null) !== null, true],
+    ['read-only trusts annotations', () => getPolicyViolation({ readOnly: true }, 'get_and_delete', { annotations: { readOnlyHint: false } }) !== null, true],
+    ['no config, no annotations: not idempotent', () => isIdempotentTool(undefined, undefined), false],
+    ['readOnlyHint is idempotent', () => isIdempotentTool(undefined, { readOnlyHint: true }), true],
+    ['idempotentHint is idempotent', () => isIdempotentTool(undefined, { idempotentHint: true }), true],
+    ['destructiveHint wins', () => isIdempotentTool(undefined, { readOnlyHint: true, destructiveHint: true }), false],
+    ['idempotentHint false wins', () => isIdempotentTool(undefined, { readOnlyHint: true, idempotentHint: false }), false],
+    ['config wins over annotations', () => [isIdempotentTool(true, { destructiveHint: true }), isIdempotentTool(false, { readOnlyHint: true })], [true, false]],
+    ['connect failure retried for any tool', () => getRetryRefusal('transport', { retryOn, dispatched: false, idempotent: false }), null],
+    ['dispatched transport failure not re-run', () => getRetryRefusal('transport', { retryOn, dispatched: true, idempotent: false }) !== null, true],
+    ['dispatched timeout not re-run', () => getRetryRefusal('timeout', { retryOn, dispatched: true, idempotent: false }) !== null, true],
+    ['idempotent tool retried after dispatch', () => getRetryRefusal('timeout', { retryOn, dispatched: true, idempotent: true }), null],
+    ['kind outside retryOn', () => getRetryRefusal('protocol', { retryOn, dispatched: false, idempotent: true }), 'protocol errors are not retried'],
+    ['cancelled never retried', () => getRetryRefusal('cancelled', { retryOn: ['cancelled'], dispatched: false, idempotent: true }) !== null, true]
+  ]);
+}
+
+function testRedaction({ resolveServerConfig, redact }) {
+  console.log('\n--- Testing secret redaction ---');
+  process.env.MCPBRIDGE_TEST_PLACEHOLDER = 'from-placeholder';
+  const resolved = resolveServerConfig('redaction-test', {
+    command: 'node',
+    args: ['--key', '${env:MCPBRIDGE_TEST_PLACEHOLDER}'],
+    env: { DEBUG_FLAG: 'true', API_TOKEN: 'literal-token' },
+    headers: { 'X-Client': 'mcpbridge', Authorization: 'Bearer header-secret' }
+  });
+
+  runCases([
+    ['placeholders resolve', () => resolved.args, ['--key', 'from-placeholder']],
+    ['placeholder values masked', () => redact('key from-placeholder'), 'key ***'],
+    ['auth-like literals masked', () => redact('literal-token / Bearer header-secret'), '*** / ***'],
+    ['ordinary literals kept', () => redact('is_true failed in mcpbridge'), 'is_true failed in mcpbridge']
+  ]);
+}
+
+/**
+ * Pure helpers from bridge-server.js. Importing it neither reads the config
+ * nor starts the server, so these run without a bridge.
+ */
+async function testHelpers() {
+  const bridge = await import('./bridge-server.js');
+  testJsonHelpers(bridge);
+  testConfigHelpers(bridge);
+  testPolicyHelpers(bridge);
+  testRedaction(bridge);
+}
+
+async function runAllTests(client) {
   // Test 1: List servers
   await testListServers(client);
 
@@ -88,7 +297,16 @@ async function main() {
 
   let client;
   try {
-    console.log('Connecting to MCP Bridge...');
+    // Helper tests need no bridge (or config), so they run before connecting
+    if (command === undefined || command === 'unit') {
+      console.log('=== MCP Bridge Test Suite ===');
+      await testHelpers();
+      if (command === 'unit') {
+        return;
+      }
+    }
+
+    console.log('\nConnecting to MCP Bridge...');
     client = await createClient();
     console.log('Connected!\n');
 
@@ -122,6 +340,30 @@ async function main() {
         await testCallTool(client, serverName, toolName, parsedArgs);
         break;
 
+      case 'search':
+        if (!args[0]) {
+          console.error('Usage: test-client.js search <query> [server]');
+          process.exit(1);
+        }
+        await testSearchTools(client, args[0], args[1]);
+        break;
+
+      case 'batch':
+        if (!args[0]) {
+          console.error("Usage: test-client.js batch '[{\"server\":...,\"tool\":...}]' [parallel|pipeline]");
+          process.exit(1);
+        }
+        await testBatch(client, JSON.parse(args[0]), args[1]);
+        break;
+
+      case 'page':
+        if (args.length < 2) {
+          console.error('Usage: test-client.js page <server> <tool> [json-args] [offset]');
+          process.exit(1);
+        }
+        await testResultPage(client, args[0], args[1], args[2] ? JSON.parse(args[2]) : {}, args[3] === undefined ? undefined : Number(args[3]));
+        break;
+
       default:
         await runAllTests(client);
     }